@@ -0,0 +1,803 @@
+// assets/js/abc.js — small ABC notation reader: parse, transpose, timeline, SVG score
+//
+// Covers what the hymnal tune files use: header fields (X T M L Q K V), multiple voices
+// with %%score grouping, inline fields, accidentals/octaves/durations, chords, rests,
+// ties, tuplets, broken rhythm, repeats with 1st/2nd endings. Decorations, slurs,
+// grace notes, chord symbols and w: lyrics are skipped.
+
+const LETTERS = 'CDEFGAB';
+const NATURAL_SEMIS = [0, 2, 4, 5, 7, 9, 11];
+const LETTER_FIFTHS = [0, 2, 4, -1, 1, 3, 5];      // C D E F G A B as major-key fifths
+const SHARP_ORDER = [3, 0, 4, 1, 5, 2, 6];          // F C G D A E B
+const FLAT_ORDER  = [6, 2, 5, 1, 4, 0, 3];          // B E A D G C F
+const MODE_OFFSETS = {
+  '': 0, maj: 0, ion: 0, m: -3, min: -3, aeo: -3, dor: -2, mix: -1, lyd: 1, phr: -4, loc: -5,
+};
+const TUPLET_Q = { 2: 3, 3: 2, 4: 3, 6: 2, 8: 3 };
+
+const MIDDLE_C_STEP = 28;                            // "C" = C4
+
+export function stepToMidi(step, alter=0){
+  const oct = Math.floor(step / 7);
+  const l = ((step % 7) + 7) % 7;
+  return (oct + 1) * 12 + NATURAL_SEMIS[l] + alter;
+}
+
+function parseFraction(s, fallback){
+  const m = String(s || '').trim().match(/^(\d+)\s*\/\s*(\d+)$/);
+  if (!m) return fallback;
+  const n = parseInt(m[1], 10), d = parseInt(m[2], 10);
+  return d ? n / d : fallback;
+}
+
+function parseMeter(s){
+  const t = String(s || '').trim();
+  if (!t || /^none$/i.test(t)) return { num: 4, den: 4, text: '' };
+  if (t === 'C') return { num: 4, den: 4, text: 'C' };
+  if (t === 'C|') return { num: 2, den: 2, text: 'C|' };
+  const m = t.match(/^([\d+]+)\s*\/\s*(\d+)/);
+  if (!m) return { num: 4, den: 4, text: '' };
+  const num = m[1].split('+').reduce((a, x)=> a + (parseInt(x, 10) || 0), 0);
+  return { num, den: parseInt(m[2], 10) || 4, text: `${m[1]}/${m[2]}` };
+}
+
+function parseTempo(s){
+  // Q:1/4=100, Q:100, Q:"Slowly" 3/8=60
+  const t = String(s || '').replace(/"[^"]*"/g, ' ').trim();
+  let m = t.match(/(\d+\s*\/\s*\d+)(?:\s+\d+\s*\/\s*\d+)*\s*=\s*(\d+)/);
+  if (m) return { beat: parseFraction(m[1], 0.25), bpm: parseInt(m[2], 10) };
+  m = t.match(/^(\d+)$/);
+  if (m) return { beat: null, bpm: parseInt(m[1], 10) };
+  return null;
+}
+
+function keyFifthsFor(tonicLetter, tonicAcc, mode){
+  return LETTER_FIFTHS[tonicLetter] + 7 * tonicAcc + (MODE_OFFSETS[mode] ?? 0);
+}
+
+function keyAlters(fifths){
+  const alters = [0, 0, 0, 0, 0, 0, 0];
+  if (fifths > 0) for (let i = 0; i < Math.min(fifths, 7); i++) alters[SHARP_ORDER[i]] = 1;
+  if (fifths < 0) for (let i = 0; i < Math.min(-fifths, 7); i++) alters[FLAT_ORDER[i]] = -1;
+  return alters;
+}
+
+function parseClef(s){
+  const m = String(s || '').match(/clef\s*=\s*([a-z]+)/i);
+  const name = (m ? m[1] : '').toLowerCase();
+  if (name.startsWith('bass')) return 'bass';
+  if (name.startsWith('alto') || name.startsWith('tenor')) return 'alto';
+  if (name.startsWith('treble')) return 'treble';
+  if (/(^|\s)bass(\s|$)/i.test(s || '')) return 'bass';
+  return null;
+}
+
+function parseKey(s){
+  const t = String(s || '').trim();
+  const clef = parseClef(t);
+  const body = t.replace(/\b\w+\s*=\s*\S+/g, ' ').trim();
+  if (!body || /^none\b/i.test(body) || /^H[pP]/.test(body)){
+    return { fifths: 0, alters: keyAlters(0), extra: {}, clef, text: body || 'C' };
+  }
+  const m = body.match(/^([A-Ga-g])([#b]?)\s*([A-Za-z]*)\s*(.*)$/);
+  if (!m) return { fifths: 0, alters: keyAlters(0), extra: {}, clef, text: 'C' };
+  const letter = LETTERS.indexOf(m[1].toUpperCase());
+  const acc = m[2] === '#' ? 1 : m[2] === 'b' ? -1 : 0;
+  const mode = m[3].toLowerCase().slice(0, 3);
+  const fifths = keyFifthsFor(letter, acc, mode in MODE_OFFSETS ? mode : (m[3].toLowerCase() === 'm' ? 'm' : ''));
+  const alters = keyAlters(fifths);
+  // Explicit extra accidentals, e.g. "K:D ^g" or "K:C exp _b _e"
+  const extra = {};
+  for (const x of (m[4] || '').matchAll(/(\^\^|\^|__|_|=)([A-Ga-g])/g)){
+    const l = LETTERS.indexOf(x[2].toUpperCase());
+    const a = { '^^': 2, '^': 1, '__': -2, '_': -1, '=': 0 }[x[1]];
+    alters[l] = a; extra[l] = a;
+  }
+  return { fifths, alters, extra, clef, text: body };
+}
+
+function parseVoiceDef(s){
+  const t = String(s || '').trim();
+  const id = (t.match(/^(\S+)/) || [, '1'])[1];
+  const nm = t.match(/\b(?:nm|name)\s*=\s*"([^"]*)"/i) || t.match(/\b(?:nm|name)\s*=\s*(\S+)/i);
+  return { id, name: nm ? nm[1] : '', clef: parseClef(t) };
+}
+
+/**
+ * Parse the first tune of an ABC file.
+ * Returns { title, meter, unit, tempo, key, voices: [{ id, name, clef, events }], staves }
+ * where events are { type:'note'|'rest'|'bar'|'ending', ... } with durations in whole notes.
+ */
+export function parseAbc(text){
+  const lines = String(text || '').replace(/\r\n?/g, '\n').split('\n');
+  const tune = {
+    title: '', meter: parseMeter('4/4'), unit: null, tempo: null,
+    key: parseKey('C'), voices: [], staves: null,
+  };
+  const voiceById = new Map();
+  let inBody = false;
+  let seenX = false;
+  let cur = null;
+
+  const getVoice = (def)=>{
+    let v = voiceById.get(def.id);
+    if (!v){
+      v = { id: def.id, name: def.name || '', clef: def.clef || null, events: [],
+        unit: null, key: null, pendingBroken: null, tuplet: null, lastNote: null };
+      voiceById.set(def.id, v);
+      tune.voices.push(v);
+    } else {
+      if (def.name) v.name = def.name;
+      if (def.clef) v.clef = def.clef;
+    }
+    return v;
+  };
+  const current = ()=> cur || (cur = getVoice({ id: '1', name: '', clef: null }));
+  const unitFor = (v)=> v.unit || tune.unit || ((tune.meter.num / tune.meter.den) < 0.75 ? 1/16 : 1/8);
+
+  const applyField = (k, val, inline)=>{
+    switch (k){
+      case 'T': if (!tune.title) tune.title = val.trim(); break;
+      case 'M':
+        tune.meter = parseMeter(val);
+        if (inBody) current().events.push({ type: 'meter', meter: tune.meter });
+        break;
+      case 'L':
+        if (inBody) current().unit = parseFraction(val, unitFor(current()));
+        else tune.unit = parseFraction(val, null);
+        break;
+      case 'Q': tune.tempo = parseTempo(val) || tune.tempo; break;
+      case 'K': {
+        const key = parseKey(val);
+        if (!inBody){
+          tune.key = key;
+          inBody = true;
+          for (const v of tune.voices) if (!v.clef && key.clef) v.clef = key.clef;
+        } else {
+          const v = current();
+          v.key = key;
+          if (key.clef) v.clef = key.clef;
+          v.events.push({ type: 'key', key });
+        }
+        break;
+      }
+      case 'V': {
+        const def = parseVoiceDef(val);
+        const v = getVoice(def);
+        if (inBody || inline) cur = v;
+        break;
+      }
+      default: break;
+    }
+  };
+
+  for (const raw of lines){
+    let line = raw;
+    if (/^%%/.test(line)){
+      const m = line.match(/^%%(score|staves)\s+(.*)$/);
+      if (m) tune.staves = parseScoreDirective(m[2]);
+      continue;
+    }
+    line = line.replace(/(^|[^\\])%.*$/, '$1');
+    if (!line.trim()){
+      if (inBody && tune.voices.some(v=> v.events.length)) break;   // blank line ends the tune
+      continue;
+    }
+    const field = line.match(/^([A-Za-z]):\s*(.*)$/);
+    if (field){
+      const k = field[1];
+      if (k === 'X'){ if (seenX && inBody) break; seenX = true; continue; }
+      if (k === 'w' || k === 'W') continue;
+      if (!inBody || 'KMLQVT'.includes(k)){ applyField(k, field[2], false); continue; }
+      continue;
+    }
+    if (!inBody) continue;
+    parseMusicLine(line, current, applyField, unitFor, tune);
+  }
+
+  for (const v of tune.voices){
+    delete v.pendingBroken; delete v.tuplet; delete v.lastNote;
+    v.clef = v.clef || tune.key.clef || 'treble';
+  }
+  tune.voices = tune.voices.filter(v=> v.events.some(e=> e.type === 'note'));
+  if (!tune.tempo || !tune.tempo.bpm) tune.tempo = { beat: 1 / tune.meter.den, bpm: 96 };
+  if (!tune.tempo.beat) tune.tempo.beat = unitFor({});
+  return resolvePitches(tune);
+}
+
+function parseScoreDirective(s){
+  // "(S A) (T B)" -> [['S','A'],['T','B']]; "1 2 3" -> [['1'],['2'],['3']]
+  const out = [];
+  const re = /\(([^)]*)\)|\{([^}]*)\}|\[|\]|\||([^\s()\[\]{}|]+)/g;
+  let m;
+  while ((m = re.exec(s))){
+    if (m[1] != null || m[2] != null){
+      const inner = (m[1] ?? m[2]).replace(/[()\[\]{}|]/g, ' ').split(/\s+/).filter(Boolean);
+      if (m[1] != null) out.push(inner); else inner.forEach(id=> out.push([id]));
+    } else if (m[3]) out.push([m[3]]);
+  }
+  return out.length ? out : null;
+}
+
+function parseMusicLine(line, current, applyField, unitFor, tune){
+  let i = 0;
+  const n = line.length;
+
+  const readLength = ()=>{
+    let num = '', den = '';
+    while (i < n && /\d/.test(line[i])) num += line[i++];
+    let slashes = 0;
+    while (i < n && line[i] === '/'){
+      slashes++; i++;
+      while (i < n && /\d/.test(line[i])) den += line[i++];
+    }
+    let f = num ? parseInt(num, 10) : 1;
+    if (slashes){
+      if (den) f /= parseInt(den, 10);
+      else f /= Math.pow(2, slashes);
+    }
+    return f;
+  };
+
+  const readPitch = ()=>{
+    let alter = null;
+    const acc = line.slice(i).match(/^(\^\^|\^|__|_|=)/);
+    if (acc){ alter = { '^^': 2, '^': 1, '__': -2, '_': -1, '=': 0 }[acc[1]]; i += acc[1].length; }
+    const c = line[i];
+    if (!c || !/[A-Ga-g]/.test(c)) return null;
+    i++;
+    let step = MIDDLE_C_STEP + LETTERS.indexOf(c.toUpperCase()) + (c === c.toLowerCase() ? 7 : 0);
+    while (i < n && (line[i] === "'" || line[i] === ',')){ step += line[i] === "'" ? 7 : -7; i++; }
+    return { step, explicit: alter };
+  };
+
+  const pushDuration = (v, ev)=>{
+    // tuplets and broken rhythm adjust the sounding length; `notated` keeps the written value
+    ev.notated = ev.dur;
+    if (v.tuplet && v.tuplet.left > 0){
+      ev.dur *= v.tuplet.q / v.tuplet.p;
+      ev.tuplet = v.tuplet.p;
+      v.tuplet.left--;
+    }
+    if (v.pendingBroken){
+      ev.dur *= v.pendingBroken;
+      ev.notated *= v.pendingBroken;
+      v.pendingBroken = null;
+    }
+    v.events.push(ev);
+    v.lastNote = ev;
+  };
+
+  const applyBroken = (v, sym)=>{
+    const prev = v.lastNote;
+    if (!prev) return;
+    const k = sym.length;
+    const long = 2 - Math.pow(2, -k), short = Math.pow(2, -k);
+    const [a, b] = sym[0] === '>' ? [long, short] : [short, long];
+    prev.dur *= a; prev.notated *= a;
+    v.pendingBroken = b;
+  };
+
+  while (i < n){
+    const v = current();
+    const c = line[i];
+
+    if (c === ' ' || c === '\t' || c === '`'){ i++; continue; }
+    if (c === '\\'){ i++; continue; }
+    if (c === '"'){                                     // chord symbol / annotation
+      const end = line.indexOf('"', i + 1);
+      i = end < 0 ? n : end + 1;
+      continue;
+    }
+    if (c === '!' || (c === '+' && /^\+[a-zA-Z]/.test(line.slice(i)))){
+      const end = line.indexOf(c, i + 1);
+      i = end < 0 ? n : end + 1;
+      continue;
+    }
+    if (c === '{'){                                     // grace notes
+      const end = line.indexOf('}', i + 1);
+      i = end < 0 ? n : end + 1;
+      continue;
+    }
+    if (c === '[' && /^\[[A-Za-z]:/.test(line.slice(i))){ // inline field
+      const end = line.indexOf(']', i);
+      const body = line.slice(i + 1, end < 0 ? n : end);
+      applyField(body[0], body.slice(2), true);
+      i = end < 0 ? n : end + 1;
+      continue;
+    }
+    if (c === '[' && /^\[\d/.test(line.slice(i))){      // "[1" ending
+      i++;
+      let num = '';
+      while (i < n && /[\d,\-]/.test(line[i])) num += line[i++];
+      v.events.push({ type: 'ending', n: parseInt(num, 10) || 1 });
+      continue;
+    }
+    if (c === '|' || c === ':' || (c === '[' && line[i + 1] === '|')){
+      // |  ||  |]  [|  |:  :|  ::  :|:
+      const tok = line.slice(i).match(/^:*(\[\||\|\]|\|\||\|)?:*/)[0] || c;
+      i += tok.length;
+      const endRepeat = /^:/.test(tok);
+      const startRepeat = /:$/.test(tok);
+      const kind = /\]/.test(tok) ? 'final' : /\[\||\|\|/.test(tok) ? 'double' : 'single';
+      // A bare "|1" / ":|2" style ending directly after the bar
+      let ending = null;
+      if (/\d/.test(line[i] || '')){
+        let num = '';
+        while (i < n && /[\d,\-]/.test(line[i])) num += line[i++];
+        ending = parseInt(num, 10) || 1;
+      }
+      v.events.push({ type: 'bar', kind, startRepeat, endRepeat });
+      if (ending != null) v.events.push({ type: 'ending', n: ending });
+      v.lastNote = null;
+      continue;
+    }
+    if (c === '(' ){
+      const m = line.slice(i).match(/^\((\d)(?::(\d*))?(?::(\d*))?/);
+      if (m){
+        const p = parseInt(m[1], 10);
+        const compound = tune.meter.num % 3 === 0 && tune.meter.num > 3;
+        const q = m[2] ? parseInt(m[2], 10) : (TUPLET_Q[p] || (compound ? 3 : 2));
+        const r = m[3] ? parseInt(m[3], 10) : p;
+        v.tuplet = { p, q, left: r };
+        i += m[0].length;
+      } else i++;                                      // slur start
+      continue;
+    }
+    if (c === ')'){ i++; continue; }
+    if (c === '>' || c === '<'){
+      let sym = '';
+      while (i < n && line[i] === c) sym += line[i++];
+      applyBroken(v, sym);
+      continue;
+    }
+    if (c === '-'){
+      if (v.lastNote && v.lastNote.type === 'note') v.lastNote.tie = true;
+      i++;
+      continue;
+    }
+    if ('.~HLMOPSTuv'.includes(c) && i + 1 < n && /[\^_=A-Ga-gzx\[.~HLMOPSTuv!]/.test(line[i + 1])){ i++; continue; }
+    if (c === 'z' || c === 'x'){
+      i++;
+      const len = readLength();
+      pushDuration(v, { type: 'rest', dur: len * unitFor(v), invisible: c === 'x' });
+      continue;
+    }
+    if (c === 'Z' || c === 'X'){
+      i++;
+      const len = readLength();
+      const bar = tune.meter.num / tune.meter.den;
+      v.events.push({ type: 'rest', dur: bar * len, notated: bar, measures: len, invisible: c === 'X' });
+      continue;
+    }
+    if (c === '['){                                     // chord
+      i++;
+      const pitches = [];
+      let innerLen = null;
+      while (i < n && line[i] !== ']'){
+        const p = readPitch();
+        if (p){
+          const l = readLength();
+          if (innerLen == null) innerLen = l;
+          if (line[i] === '-'){ p.tie = true; i++; }
+          pitches.push(p);
+        } else i++;
+      }
+      i++;
+      const outer = readLength();
+      if (pitches.length) pushDuration(v, { type: 'note', pitches, dur: (innerLen || 1) * outer * unitFor(v) });
+      continue;
+    }
+    if (/[\^_=A-Ga-g]/.test(c)){
+      const p = readPitch();
+      if (!p){ i++; continue; }
+      const len = readLength();
+      pushDuration(v, { type: 'note', pitches: [p], dur: len * unitFor(v) });
+      continue;
+    }
+    i++;
+  }
+}
+
+/**
+ * Resolve every note's sounding pitch (key signature + bar-local accidentals) into
+ * `alter` and `midi`. Called once after parsing and again after transposing.
+ */
+export function resolvePitches(tune){
+  for (const v of tune.voices){
+    let key = tune.key;
+    let barAlters = new Map();
+    for (const ev of v.events){
+      if (ev.type === 'key'){ key = ev.key; barAlters = new Map(); continue; }
+      if (ev.type === 'bar'){ barAlters = new Map(); continue; }
+      if (ev.type !== 'note') continue;
+      for (const p of ev.pitches){
+        if (p.explicit != null) barAlters.set(p.step, p.explicit);
+        const l = ((p.step % 7) + 7) % 7;
+        p.alter = barAlters.has(p.step) ? barAlters.get(p.step) : key.alters[l];
+        p.midi = stepToMidi(p.step, p.alter);
+      }
+    }
+  }
+  return tune;
+}
+
+/**
+ * Transpose a parsed tune by `semitones`, respelling notes into the new key.
+ * Returns a new tune object; the input is left untouched.
+ */
+export function transposeTune(tune, semitones){
+  const t = Math.round(semitones || 0);
+  const copy = JSON.parse(JSON.stringify(tune));
+  if (!t) return resolvePitches(copy);
+
+  const shiftKey = (key)=>{
+    let f = key.fifths + 7 * t;
+    f = ((f % 12) + 12) % 12;
+    if (f > 6) f -= 12;
+    if (f === 6 && key.fifths < 0) f = -6;
+    const alters = keyAlters(f);
+    return { ...key, fifths: f, alters, extra: {}, text: '' };
+  };
+  const letterOf = (fifths)=> ((fifths * 4) % 7 + 7) % 7;
+  let d = (letterOf(shiftKey(tune.key).fifths) - letterOf(tune.key.fifths) + 7) % 7;
+  // pick the diatonic shift closest in size to the chromatic one
+  if (Math.abs((d - 7) - t * 7 / 12) < Math.abs(d - t * 7 / 12)) d -= 7;
+
+  copy.key = shiftKey(tune.key);
+  copy.transpose = t;
+  for (const v of copy.voices){
+    for (const ev of v.events){
+      if (ev.type === 'key'){ ev.key = shiftKey(ev.key); continue; }
+      if (ev.type !== 'note') continue;
+      for (const p of ev.pitches){
+        const target = p.midi + t;
+        let step = p.step + d;
+        let alter = target - stepToMidi(step, 0);
+        if (alter > 2){ step += 1; alter = target - stepToMidi(step, 0); }
+        if (alter < -2){ step -= 1; alter = target - stepToMidi(step, 0); }
+        p.step = step;
+        p.explicit = alter;                     // resolved below; display decides what to show
+      }
+    }
+  }
+  resolvePitches(copy);
+  return copy;
+}
+
+/**
+ * Flatten one voice into sounding notes: [{ t, dur, midis, ev }], with repeats and
+ * endings unrolled and ties merged. Times are in whole notes from the start.
+ */
+export function voiceTimeline(voice){
+  const evs = voice.events;
+  const out = [];
+  let tied = new Map();                         // midi -> timeline item still ringing
+  let t = 0;
+  let repeatStart = 0;
+  let pass = 1;
+  let skipping = false;                         // inside a 1st ending on the second pass
+
+  for (let i = 0; i < evs.length; i++){
+    const ev = evs[i];
+    if (ev.type === 'ending'){
+      if (pass === 2 && ev.n === 1) skipping = true;
+      else if (ev.n !== 1) skipping = false;
+      continue;
+    }
+    if (ev.type === 'bar'){
+      if (skipping){
+        // the 1st ending closes with :| — carry on into the 2nd ending
+        if (ev.endRepeat){ skipping = false; pass = 1; repeatStart = i + 1; }
+        continue;
+      }
+      if (ev.endRepeat && pass === 1){
+        pass = 2;
+        i = repeatStart - 1;
+        tied = new Map();
+        continue;
+      }
+      if (ev.endRepeat){ pass = 1; repeatStart = i + 1; }
+      if (ev.startRepeat) repeatStart = i + 1;
+      continue;
+    }
+    if (skipping) continue;
+    if (ev.type === 'rest'){ t += ev.dur; tied = new Map(); continue; }
+    if (ev.type !== 'note') continue;
+
+    const fresh = [];
+    for (const p of ev.pitches){
+      const held = tied.get(p.midi);
+      if (held) held.dur = t + ev.dur - held.t;
+      else fresh.push(p.midi);
+    }
+    const item = fresh.length ? { t, dur: ev.dur, midis: fresh, ev } : null;
+    if (item) out.push(item);
+    const next = new Map();
+    for (const p of ev.pitches){
+      if (ev.tie || p.tie) next.set(p.midi, tied.get(p.midi) || item);
+    }
+    tied = next;
+    t += ev.dur;
+  }
+  return { notes: out, length: t };
+}
+
+/** Seconds per whole note for a tune at the given beats-per-minute. */
+export function wholeNoteSeconds(tune, bpm){
+  const beat = tune.tempo?.beat || 0.25;
+  return 60 / ((bpm || tune.tempo?.bpm || 96) * beat);
+}
+
+// ---------------------------------------------------------------------------
+// SVG score
+// ---------------------------------------------------------------------------
+
+const SP = 8;                                   // staff space
+const STAFF_H = SP * 4;
+const STAFF_GAP = 46;
+const SYSTEM_GAP = 34;
+const NOTE_COL = 24;
+const CLEF_BOTTOM = { treble: 30, bass: 18, alto: 24 };   // step of the bottom line
+const SHARP_STEPS = [38, 35, 39, 36, 33, 37, 34];          // treble F5 C5 G5 D5 A4 E5 B4
+const FLAT_STEPS  = [34, 37, 33, 36, 32, 35, 31];          // treble B4 E5 A4 D5 G4 C5 F4
+const CLEF_KEY_OFFSET = { treble: 0, bass: -14, alto: -7 };
+const ACC_GLYPH = { '2': '𝄪', '1': '♯', '0': '♮', '-1': '♭', '-2': '𝄫' };
+
+function noteShape(notated){
+  const bases = [1, 0.5, 0.25, 0.125, 0.0625, 0.03125];
+  for (const b of bases){
+    if (Math.abs(notated - b) < 1e-6) return { base: b, dots: 0 };
+    if (Math.abs(notated - b * 1.5) < 1e-6) return { base: b, dots: 1 };
+    if (Math.abs(notated - b * 1.75) < 1e-6) return { base: b, dots: 2 };
+  }
+  if (notated >= 2) return { base: 1, dots: 0 };
+  const base = bases.find(b=> b <= notated) || 0.03125;
+  return { base, dots: 0 };
+}
+
+function splitMeasures(voice){
+  const measures = [];
+  let curM = { items: [], bar: null, ending: null, key: null, meter: null };
+  let t = 0;
+  for (const ev of voice.events){
+    if (ev.type === 'bar'){
+      curM.bar = ev;
+      if (curM.items.length || measures.length === 0 || curM.key) measures.push(curM);
+      else if (measures.length) measures[measures.length - 1].bar = mergeBars(measures[measures.length - 1].bar, ev);
+      curM = { items: [], bar: null, ending: null, key: null, meter: null };
+      t = 0;
+      continue;
+    }
+    if (ev.type === 'ending'){ curM.ending = ev.n; continue; }
+    if (ev.type === 'key'){ curM.key = ev.key; continue; }
+    if (ev.type === 'meter'){ curM.meter = ev.meter; continue; }
+    if (ev.type === 'note' || ev.type === 'rest'){
+      curM.items.push({ t, ev });
+      t += ev.dur;
+    }
+  }
+  if (curM.items.length) measures.push(curM);
+  return measures;
+}
+
+function mergeBars(a, b){
+  if (!a) return b;
+  return { ...a, startRepeat: a.startRepeat || b.startRepeat, endRepeat: a.endRepeat || b.endRepeat,
+    kind: b.kind === 'single' ? a.kind : b.kind };
+}
+
+function esc(s){
+  return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Lay the tune out as an SVG string, `width` user units wide.
+ * Every drawn note carries data-v (voice index) and data-e (event index) so a player
+ * can highlight it while sounding.
+ */
+export function renderAbcSvg(tune, { width = 760 } = {}){
+  const voices = tune.voices;
+  if (!voices.length) return '';
+  const voiceIndex = new Map(voices.map((v, i)=> [v.id, i]));
+
+  // Staves: %%score groups when given, else one staff per voice.
+  let staves = (tune.staves || []).map(g=> g.map(id=> voiceIndex.get(id)).filter(x=> x != null)).filter(g=> g.length);
+  const used = new Set(staves.flat());
+  for (let i = 0; i < voices.length; i++) if (!used.has(i)) staves.push([i]);
+  staves = staves.map(g=> ({ voices: g, clef: voices[g[0]].clef || 'treble' }));
+
+  const evIndex = voices.map(v=> new Map(v.events.map((e, i)=> [e, i])));
+  const perVoice = voices.map(splitMeasures);
+  const nMeasures = Math.max(...perVoice.map(m=> m.length));
+
+  // Column layout per measure: distinct onsets across all voices
+  const measureCols = [];
+  for (let m = 0; m < nMeasures; m++){
+    const onsets = new Set();
+    let accExtra = 0;
+    for (const ms of perVoice){
+      const mm = ms[m];
+      if (!mm) continue;
+      for (const it of mm.items) onsets.add(Math.round(it.t * 1e6) / 1e6);
+      accExtra = Math.max(accExtra, mm.items.filter(it=> it.ev.type === 'note' && it.ev.pitches.some(p=> p.explicit != null)).length);
+    }
+    const cols = Array.from(onsets).sort((a, b)=> a - b);
+    measureCols.push({ cols, width: 16 + Math.max(1, cols.length) * NOTE_COL + accExtra * 3 });
+  }
+
+  const parts = [];
+  const prefixWidth = (first)=> 34 + Math.abs(keyNow.fifths) * 9 + (first && tune.meter.text ? 22 : 0) + 6;
+  const staffBlock = staves.length * STAFF_H + (staves.length - 1) * STAFF_GAP;
+
+  let y = 44;                                   // headroom for stems, tuplets and endings
+  let m = 0;
+  let keyNow = tune.key;
+
+  while (m < nMeasures){
+    const first = m === 0;
+    const opening = perVoice.map(ms=> ms[m]?.key).find(Boolean);
+    if (opening) keyNow = opening;
+    const prefix = prefixWidth(first);
+    let x = prefix;
+    const sysMeasures = [];
+    while (m < nMeasures){
+      const w = measureCols[m].width;
+      if (sysMeasures.length && x + w > width - 4) break;
+      sysMeasures.push({ m, x, w });
+      x += w;
+      m++;
+    }
+    // stretch to full width
+    const slack = sysMeasures.length > 1 || m < nMeasures ? (width - 4 - x) / sysMeasures.length : 0;
+    let acc = 0;
+    for (const sm of sysMeasures){ sm.x += acc; sm.w += slack; acc += slack; }
+    const right = sysMeasures.length ? sysMeasures[sysMeasures.length - 1].x + sysMeasures[sysMeasures.length - 1].w : width - 4;
+
+    staves.forEach((st, si)=>{
+      const top = y + si * (STAFF_H + STAFF_GAP);
+      const bottom = top + STAFF_H;
+      for (let l = 0; l < 5; l++) parts.push(`<line class="staff" x1="4" x2="${right}" y1="${top + l * SP}" y2="${top + l * SP}"/>`);
+      const glyph = st.clef === 'bass' ? '𝄢' : st.clef === 'alto' ? '𝄡' : '𝄞';
+      const gy = st.clef === 'bass' ? top + SP * 1.15 : st.clef === 'alto' ? top + SP * 2 : top + SP * 3;
+      parts.push(`<text class="clef" x="6" y="${gy}" font-size="${st.clef === 'treble' ? SP * 5 : SP * 3.9}" dominant-baseline="central">${glyph}</text>`);
+      const off = CLEF_KEY_OFFSET[st.clef] || 0;
+      const stepY = (s)=> bottom - (s - CLEF_BOTTOM[st.clef]) * (SP / 2);
+      const f = keyNow.fifths;
+      for (let k = 0; k < Math.abs(f); k++){
+        const s = (f > 0 ? SHARP_STEPS : FLAT_STEPS)[k] + off;
+        parts.push(`<text class="acc" x="${34 + k * 9}" y="${stepY(s)}" dominant-baseline="central">${f > 0 ? '♯' : '♭'}</text>`);
+      }
+      if (first && tune.meter.text){
+        const tx = 34 + Math.abs(f) * 9 + 4;
+        if (/^C/.test(tune.meter.text)){
+          parts.push(`<text class="meter" x="${tx}" y="${top + SP * 2}" dominant-baseline="central">${tune.meter.text === 'C|' ? '𝄵' : '𝄴'}</text>`);
+        } else {
+          const [a, b] = tune.meter.text.split('/');
+          parts.push(`<text class="meter" x="${tx}" y="${top + SP}" dominant-baseline="central">${esc(a)}</text>`);
+          parts.push(`<text class="meter" x="${tx}" y="${top + SP * 3}" dominant-baseline="central">${esc(b)}</text>`);
+        }
+      }
+    });
+
+    for (const sm of sysMeasures){
+      const mc = measureCols[sm.m];
+      const changed = perVoice.map(ms=> ms[sm.m]?.key).find(Boolean);
+      if (changed) keyNow = changed;
+      const colX = (t)=>{
+        const k = mc.cols.findIndex(c=> Math.abs(c - t) < 1e-6);
+        const span = sm.w - 16;
+        return sm.x + 12 + (mc.cols.length ? (Math.max(0, k) + 0.5) * (span / Math.max(1, mc.cols.length)) : span / 2);
+      };
+      staves.forEach((st, si)=>{
+        const top = y + si * (STAFF_H + STAFF_GAP);
+        const bottom = top + STAFF_H;
+        const bottomStep = CLEF_BOTTOM[st.clef];
+        const stepY = (s)=> bottom - (s - bottomStep) * (SP / 2);
+        const multi = st.voices.length > 1;
+        const barAlters = new Map();
+        st.voices.forEach((vi, k)=>{
+          const mm = perVoice[vi][sm.m];
+          if (!mm) return;
+          if (mm.ending && si === 0 && k === 0){
+            parts.push(`<path class="ending" d="M${sm.x + 2} ${top - 6} v-10 h${Math.min(60, sm.w - 6)}"/>`);
+            parts.push(`<text class="ending-no" x="${sm.x + 6}" y="${top - 8}">${mm.ending}.</text>`);
+          }
+          for (const it of mm.items){
+            const ev = it.ev;
+            const cx = colX(Math.round(it.t * 1e6) / 1e6);
+            const id = `data-v="${vi}" data-e="${evIndex[vi].get(ev)}"`;
+            if (ev.type === 'rest'){
+              if (ev.invisible) continue;
+              const ry = multi ? (k === 0 ? top + SP : bottom - SP) : top + SP * 2;
+              parts.push(restSvg(ev, cx, ry, top, id));
+              continue;
+            }
+            const shape = noteShape(ev.notated ?? ev.dur);
+            const ys = ev.pitches.map(p=> stepY(p.step));
+            const up = multi ? k === 0 : (ys.reduce((a, b)=> a + b, 0) / ys.length) > top + SP * 2;
+            const g = [`<g class="note" ${id}>`];
+            for (const p of ev.pitches){
+              const py = stepY(p.step);
+              // ledger lines
+              for (let s = bottomStep - 2; s >= p.step; s -= 2) g.push(`<line class="ledger" x1="${cx - 8}" x2="${cx + 8}" y1="${stepY(s)}" y2="${stepY(s)}"/>`);
+              for (let s = bottomStep + 10; s <= p.step; s += 2) g.push(`<line class="ledger" x1="${cx - 8}" x2="${cx + 8}" y1="${stepY(s)}" y2="${stepY(s)}"/>`);
+              const l = ((p.step % 7) + 7) % 7;
+              const prev = barAlters.has(p.step) ? barAlters.get(p.step) : keyNow.alters[l];
+              if (p.alter !== prev){
+                g.push(`<text class="acc" x="${cx - 14}" y="${py}" dominant-baseline="central">${ACC_GLYPH[String(p.alter)] || ''}</text>`);
+                barAlters.set(p.step, p.alter);
+              }
+              const hollow = shape.base >= 0.5;
+              g.push(`<ellipse class="head${hollow ? ' hollow' : ''}" cx="${cx}" cy="${py}" rx="${shape.base >= 1 ? 5.2 : 4.6}" ry="3.6" transform="rotate(-20 ${cx} ${py})"/>`);
+              for (let dIdx = 0; dIdx < shape.dots; dIdx++){
+                const dy = (p.step - bottomStep) % 2 === 0 ? py - SP / 2 : py;
+                g.push(`<circle class="dot" cx="${cx + 9 + dIdx * 4}" cy="${dy}" r="1.4"/>`);
+              }
+            }
+            if (shape.base < 1){
+              const lo = Math.max(...ys), hi = Math.min(...ys);
+              const sx = up ? cx + 4.2 : cx - 4.2;
+              const y1 = up ? lo : hi;
+              const y2 = up ? hi - SP * 3.3 : lo + SP * 3.3;
+              g.push(`<line class="stem" x1="${sx}" x2="${sx}" y1="${y1}" y2="${y2}"/>`);
+              const flags = shape.base <= 0.0625 ? 2 : shape.base <= 0.125 ? 1 : 0;
+              for (let fI = 0; fI < flags; fI++){
+                const fy = y2 + (up ? fI * 5 : -fI * 5);
+                g.push(up
+                  ? `<path class="flag" d="M${sx} ${fy} q6 6 6 13"/>`
+                  : `<path class="flag" d="M${sx} ${fy} q6 -6 6 -13"/>`);
+              }
+            }
+            if (ev.tuplet && si === 0) g.push(`<text class="tuplet" x="${cx}" y="${up ? Math.min(...ys) - SP * 3.8 : Math.max(...ys) + SP * 4.2}">${ev.tuplet}</text>`);
+            g.push('</g>');
+            parts.push(g.join(''));
+            if (ev.tie || ev.pitches.some(p=> p.tie)){
+              for (const p of ev.pitches){
+                const py = stepY(p.step) + (up ? 6 : -6);
+                parts.push(`<path class="tie" d="M${cx + 4} ${py} q${NOTE_COL / 2} ${up ? 6 : -6} ${NOTE_COL - 6} 0"/>`);
+              }
+            }
+          }
+        });
+      });
+      // bar line spanning the system
+      const bar = perVoice[0][sm.m]?.bar;
+      const bx = sm.x + sm.w;
+      const yTop = y, yBot = y + staffBlock;
+      if (bar && (bar.kind === 'double' || bar.kind === 'final' || bar.endRepeat || bar.startRepeat)){
+        const thick = bar.kind === 'final' || bar.endRepeat || bar.startRepeat;
+        parts.push(`<line class="bar" x1="${bx - (thick ? 5 : 3)}" x2="${bx - (thick ? 5 : 3)}" y1="${yTop}" y2="${yBot}"/>`);
+        parts.push(`<line class="bar${thick ? ' thick' : ''}" x1="${bx}" x2="${bx}" y1="${yTop}" y2="${yBot}"/>`);
+        staves.forEach((st, si)=>{
+          const top = y + si * (STAFF_H + STAFF_GAP);
+          if (bar.endRepeat){
+            parts.push(`<circle class="dot" cx="${bx - 10}" cy="${top + SP * 1.5}" r="1.8"/><circle class="dot" cx="${bx - 10}" cy="${top + SP * 2.5}" r="1.8"/>`);
+          }
+          if (bar.startRepeat && sm.m + 1 < nMeasures){
+            parts.push(`<circle class="dot" cx="${bx + 6}" cy="${top + SP * 1.5}" r="1.8"/><circle class="dot" cx="${bx + 6}" cy="${top + SP * 2.5}" r="1.8"/>`);
+          }
+        });
+      } else {
+        parts.push(`<line class="bar" x1="${bx}" x2="${bx}" y1="${yTop}" y2="${yBot}"/>`);
+      }
+    }
+    parts.push(`<line class="bar" x1="4" x2="4" y1="${y}" y2="${y + staffBlock}"/>`);
+    y += staffBlock + SYSTEM_GAP + STAFF_GAP / 2;
+  }
+
+  const height = Math.ceil(y);
+  return `<svg xmlns="http://www.w3.org/2000/svg" class="abc-score" viewBox="0 0 ${width} ${height}" width="100%" role="img" aria-label="${esc(tune.title || 'Tune')}">${parts.join('')}</svg>`;
+}
+
+function restSvg(ev, cx, ry, top, id){
+  const shape = noteShape(ev.notated ?? ev.dur);
+  if (ev.measures && ev.measures > 1){
+    return `<g class="rest" ${id}><rect x="${cx - 14}" y="${top + SP * 1.5}" width="28" height="${SP}"/><text class="tuplet" x="${cx}" y="${top - 6}">${ev.measures}</text></g>`;
+  }
+  if (shape.base >= 1) return `<g class="rest" ${id}><rect x="${cx - 6}" y="${ry - SP}" width="12" height="${SP / 2}"/></g>`;
+  if (shape.base >= 0.5) return `<g class="rest" ${id}><rect x="${cx - 6}" y="${ry - SP / 2}" width="12" height="${SP / 2}"/></g>`;
+  const glyph = shape.base >= 0.25 ? '𝄽' : shape.base >= 0.125 ? '𝄾' : '𝄿';
+  const dot = shape.dots ? `<circle class="dot" cx="${cx + 9}" cy="${ry - SP / 2}" r="1.4"/>` : '';
+  return `<g class="rest" ${id}><text class="rest-glyph" x="${cx}" y="${ry}" dominant-baseline="central">${glyph}</text>${dot}</g>`;
+}
@@ -1,6 +1,26 @@
 import {Router} from './router.js';
-import {html, escapeHTML, $, decodeEntities} from './utils.js';
-import {buildIndex, search} from './search.js';
+import {html, escapeHTML, $, $$, decodeEntities} from './utils.js';
+import {search, suggestQuery, matchedBlock} from './search.js';
+import {setupTunes, showTunes, stopTunes} from './tunes.js';
+import {bookLabel} from './hymnmeta.js';
+import {stripTags} from './hymnal.js';
+import {loadParsedBook} from './bookstore.js';
+import {findAlsoIn} from './concordance.js';
+import {registerServiceWorker, showOfflinePage} from './offline.js';
+import {showPresenterPage} from './presenter.js';
+import {showBackupPage} from './backup.js';
+import {setupKeys} from './keys.js';
+import {localBooks, localBookText, showLocalBooksPage} from './localbooks.js';
+import {FORMATS, exportHymns, bookCopyright, showExportPage} from './export.js';
+import {readerSettings, applyReaderSettings, decorateLyrics, lyricsText, setupReaderPanel} from './reader.js';
+import {blockLabel, blockAt, showFirstLinesPage} from './firstlines.js';
+import {rowMeter, interchangeable, hymnsInMeter, showMetersPage, showMeterPage} from './meters.js';
+import {bookNotes, wrapLines, showHymnNotes} from './notes.js';
+import {recordOpen, showRecentPage, showStatsPage} from './recent.js';
+import {getSetlist, sortedSetlists, createSetlist, addToSetlist, setItemHref, showSetlistsPage, showSetlistPage} from './setlists.js';
+
+const DEFAULT_SORT = 'number';
+const SORT_MODES = ['book', 'number', 'alpha'];
 
 const state = {
   config: null,
@@ -8,7 +28,7 @@ const state = {
   currentDatasetIndex: 0,
   rows: [],
   index: null,
-  sortMode: 'number',        // book | number | alpha
+  sortMode: DEFAULT_SORT,    // book | number | alpha
   viewFavorites: false,
   favs: new Set(),
   datasetMeta: {
@@ -19,9 +39,23 @@ const state = {
     useBottomText: false,
     useMeter: false,
     indexOrder: [],
+    tags: [],
+    categories: [],
+    audioURL: '',
   },
+  tagFilter: new Set(),      // selected tag codes
+  categoryFilter: '',        // category name, '' = all
+  allBooks: false,           // "All books" picked in #datasetSelect
+  books: new Map(),          // dataset index -> Promise<{ meta, rows, index }>
+  bookData: new Map(),       // dataset index -> { meta, rows, index } once loaded
+  detailId: null,            // id of the hymn in #detailView (from #/<slug>/<id> or #/set routes)
+  literalQuery: '',          // query to search as typed, without the spelling fallback
+  trail: null,               // { hrefs, noun }: the list the open hymn came from (listTrail)
 };
 
+const ALL_BOOKS_LIMIT = 50;  // rows shown per book before "Show all"
+
+
 if ('scrollRestoration' in history) history.scrollRestoration = 'manual';
 
 function datasetKey(){
@@ -32,6 +66,11 @@ function loadFavorites(){
   try{ state.favs = new Set(JSON.parse(localStorage.getItem(datasetKey()) || '[]')); }
   catch{ state.favs = new Set(); }
 }
+/** Favorite ids of any book, by path (the export page's "Favorites"). */
+function favoritesOf(path){
+  try{ return new Set(JSON.parse(localStorage.getItem('fav_' + path) || '[]')); }
+  catch{ return new Set(); }
+}
 function saveFavorites(){
   localStorage.setItem(datasetKey(), JSON.stringify(Array.from(state.favs)));
 }
@@ -58,6 +97,15 @@ function sortRows(rows){
     // book order (default)
     out.sort((a,b)=> ( (a._order ?? 1e9) - (b._order ?? 1e9) ));
   }
+  if (showCategoryHeadings()){
+    // Keep each category together (in declared order) so every heading appears once;
+    // uncategorized rows (e.g. the hymn 0 cover) stay ahead of the first heading.
+    const cats = state.datasetMeta.categories;
+    const rank = (r)=> cats.findIndex(c=> c.name === r.category);
+    const ranked = out.map((r,i)=> [rank(r), i, r]);
+    ranked.sort((a,b)=> a[0] - b[0] || a[1] - b[1]);
+    return ranked.map(x=> x[2]);
+  }
   return out;
 }
 
@@ -65,6 +113,103 @@ function filterFavorites(rows){
   return state.viewFavorites ? rows.filter(r=> state.favs.has(r.id)) : rows;
 }
 
+function tagInfo(code){
+  return state.datasetMeta.tags.find(t=> t.code === code) || null;
+}
+
+function filterTags(rows){
+  if (!state.tagFilter.size) return rows;
+  // Any selected tag within a group matches; every group with a selection must match.
+  const groups = new Map();
+  for (const code of state.tagFilter){
+    const g = tagInfo(code)?.group || '';
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(code);
+  }
+  const wanted = Array.from(groups.values());
+  return rows.filter(r=> wanted.every(codes=> codes.some(c=> (r.tags || []).includes(c))));
+}
+
+function filterCategory(rows){
+  return state.categoryFilter ? rows.filter(r=> r.category === state.categoryFilter) : rows;
+}
+
+function showCategoryHeadings(){
+  return state.datasetMeta.categories.length > 0 && state.sortMode !== 'alpha';
+}
+
+function renderCategoryFilter(){
+  const sel = $('#categoryFilter');
+  if (!sel) return;
+  const cats = state.datasetMeta.categories;
+  if (state.categoryFilter && !cats.some(c=> c.name === state.categoryFilter)) state.categoryFilter = '';
+  sel.innerHTML = html`<option value="">All categories</option>` +
+    cats.map(c=> html`<option value="${escapeHTML(c.name)}">${escapeHTML(c.name)} (${c.start}–${c.end})</option>`).join('');
+  sel.value = state.categoryFilter;
+  sel.classList.toggle('hidden', !cats.length);
+}
+
+function renderCategoryJump(rows){
+  const sel = $('#categoryJump');
+  if (!sel) return;
+  const present = showCategoryHeadings() ? state.datasetMeta.categories.filter(c=> rows.some(r=> r.category === c.name)) : [];
+  sel.innerHTML = html`<option value="">Jump to…</option>` +
+    present.map(c=> html`<option value="${escapeHTML(categoryAnchor(c.name))}">${escapeHTML(c.name)}</option>`).join('');
+  sel.value = '';
+  sel.classList.toggle('hidden', present.length < 2);
+}
+
+function categoryAnchor(name){
+  const i = state.datasetMeta.categories.findIndex(c=> c.name === name);
+  return `cat-${i}`;
+}
+
+function renderTagFilter(){
+  const wrap = $('#tagFilter');
+  if (!wrap) return;
+  const counts = new Map();
+  for (const r of state.rows) for (const c of (r.tags || [])) counts.set(c, (counts.get(c) || 0) + 1);
+  const tags = state.datasetMeta.tags.filter(t=> counts.has(t.code));
+
+  // Drop selections that don't exist in this book
+  for (const code of Array.from(state.tagFilter)) if (!counts.has(code) || !tagInfo(code)) state.tagFilter.delete(code);
+
+  wrap.classList.toggle('hidden', !tags.length);
+  if (!tags.length){ $('#tagFilterBody').innerHTML = ''; updateTagFilterLabel(); return; }
+
+  const groups = new Map();
+  for (const t of tags){
+    if (!groups.has(t.group)) groups.set(t.group, []);
+    groups.get(t.group).push(t);
+  }
+  $('#tagFilterBody').innerHTML = Array.from(groups.entries()).map(([group, list])=> html`
+    <fieldset>
+      <legend>${escapeHTML(group)}</legend>
+      ${list.map(t=> html`
+        <label><input type="checkbox" value="${escapeHTML(t.code)}" ${state.tagFilter.has(t.code) ? 'checked' : ''}>
+          ${escapeHTML(t.label)} <span class="muted">${counts.get(t.code)}</span></label>
+      `).join('')}
+    </fieldset>
+  `).join('');
+  updateTagFilterLabel();
+}
+
+function updateTagFilterLabel(){
+  const sum = $('#tagFilterSummary');
+  if (!sum) return;
+  const n = state.tagFilter.size;
+  sum.textContent = n ? `Topics (${n})` : 'Topics';
+  $('#tagFilter').classList.toggle('active', n > 0);
+}
+
+function filterSuffix(){
+  const parts = [];
+  if (state.viewFavorites) parts.push('favorites');
+  if (state.categoryFilter) parts.push(state.categoryFilter);
+  if (state.tagFilter.size) parts.push(Array.from(state.tagFilter).map(c=> tagInfo(c)?.label || c).join(' / '));
+  return parts.length ? ` (${parts.join('; ')})` : '';
+}
+
 function updateFavButtonLabel(){
   const btn = $('#favoritesToggle');
   if (!btn) return;
@@ -80,21 +225,107 @@ function updateFavButtonLabel(){
 
 function currentQuery(){ return ($('#q')?.value || '').trim(); }
 
-function renderFromState(){
+function shouldSearchQuery(q){ return q && (/^\d+$/.test(q) || q.length >= 2); }
+
+/** The current book's list as drawn: search (with the spelling fallback), filters, sort. */
+function listRows(){
   const q = currentQuery();
-  const shouldSearch = q && (/^\d+$/.test(q) || q.length >= 2);
-  let base = shouldSearch ? search(state.index, state.rows, q) : state.rows;
+  const shouldSearch = shouldSearchQuery(q);
+  const opts = { notes: noteTexts(state.currentDatasetIndex, state.rows) };
+  let base = shouldSearch ? search(state.index, state.rows, q, opts) : state.rows;
+  const fixed = shouldSearch && !base.length ? spellingFix([state.index], q, (fq)=> search(state.index, state.rows, fq, opts).length) : null;
+  if (fixed) base = search(state.index, state.rows, fixed, opts);
   base = filterFavorites(base);
-  base = sortRows(base);
-  drawList(base);
+  base = filterTags(base);
+  base = filterCategory(base);
+  return { rows: sortRows(base), q, fixed, shouldSearch };
+}
+
+/** Each noted hymn's note in book `ds`, for search (notes.js). */
+function noteTexts(ds, rows){
+  const out = new Map();
+  for (const [id, e] of bookNotes(state.datasets[ds].path, rows)) if (e.note) out.set(id, e.note);
+  return out;
+}
+
+function renderFromState(){
+  if (state.allBooks){ renderAllBooks(); syncListHash(); return; }
+  const { rows: base, q, fixed, shouldSearch } = listRows();
+  renderSearchFix(q, fixed);
+  drawList(base, shouldSearch ? fixed || q : '');
+  renderCategoryJump(base);
 
   const stats = $('#resultStats');
   if (stats){
-    if (q) stats.textContent = `${base.length} results for “${q}”${state.viewFavorites ? ' (favorites)' : ''}`;
-    else stats.textContent = `${base.length} hymn${base.length===1?'':'s'}${state.viewFavorites ? ' (favorites)' : ''}`;
+    if (q) stats.textContent = `${base.length} results for “${fixed || q}”${filterSuffix()}`;
+    else stats.textContent = `${base.length} hymn${base.length===1?'':'s'}${filterSuffix()}`;
   }
 
   updateFavButtonLabel();
+  syncListHash();
+}
+
+/**
+ * Nothing found for `q`: the spelling-corrected query when it finds something (`count(query)`),
+ * unless the user asked to search `q` as typed.
+ */
+function spellingFix(indexes, q, count){
+  if (q === state.literalQuery) return null;
+  const fix = suggestQuery(indexes, q);
+  return fix && count(fix.query) ? fix.query : null;
+}
+
+/** "Showing results for … / Search for … instead" above the list. */
+function renderSearchFix(q, fixed){
+  const el = $('#searchFix');
+  el.innerHTML = fixed ? html`Showing results for <strong>${escapeHTML(fixed)}</strong>.
+    <button type="button" class="link-button" id="searchLiteral">Search for “${escapeHTML(q)}” instead</button>` : '';
+  el.classList.toggle('hidden', !fixed);
+}
+
+/** Hash for the list as it stands: #/bhb?q=grace&sort=alpha&fav=1 (defaults left out). */
+function listHash(){
+  const p = new URLSearchParams();
+  const q = currentQuery();
+  if (q) p.set('q', q);
+  if (!state.allBooks){
+    if (state.sortMode !== DEFAULT_SORT) p.set('sort', state.sortMode);
+    if (state.viewFavorites) p.set('fav', '1');
+    if (state.categoryFilter) p.set('cat', state.categoryFilter);
+    if (state.tagFilter.size) p.set('tags', Array.from(state.tagFilter).join(','));
+  }
+  const qs = p.toString();
+  return `#/${state.allBooks ? 'all' : state.datasets[state.currentDatasetIndex]?.slug || ''}${qs ? '?' + qs : ''}`;
+}
+
+function isListRoute(parts){
+  return !parts.length || (parts.length === 1 && (parts[0] === 'all' || state.datasets.some(d=> d.slug === parts[0])));
+}
+
+// Set once a list route has been applied, so the first render can't overwrite the URL's state
+let listRouted = false;
+
+/** Keep the hash in step with the list's controls (no new history entries). */
+function syncListHash(){
+  if (!listRouted || $('#listView').classList.contains('hidden') || !isListRoute(router.parse())) return;
+  const h = listHash();
+  if (location.hash !== h) history.replaceState(history.state, '', h);
+}
+
+/** Put the URL's list state (q, sort, fav, cat, tags) into `state` and the controls. */
+function applyListQuery(query){
+  const q = query.get('q') || '';
+  $('#q').value = q;
+  $('#qClear').classList.toggle('is-visible', q.length > 0);
+  if (state.allBooks) return;
+  const sort = query.get('sort');
+  state.sortMode = SORT_MODES.includes(sort) ? sort : DEFAULT_SORT;
+  $('#sortSelect').value = state.sortMode;
+  state.viewFavorites = query.get('fav') === '1';
+  state.categoryFilter = query.get('cat') || '';
+  state.tagFilter = new Set((query.get('tags') || '').split(',').filter(Boolean));
+  renderCategoryFilter();
+  renderTagFilter();
 }
 
 async function loadConfig(){
@@ -104,20 +335,101 @@ async function loadConfig(){
   }catch{
     state.config = window.__HFG_CONFIG__ || {datasets: []};
   }
-  state.datasets = state.config.datasets || [];
+  state.datasets = [...(state.config.datasets || [])];
+  assignSlugs(state.datasets);
+  await loadLocalBooks();
   renderDatasetPicker();
 }
 
+/**
+ * Put the books loaded from this device (localbooks.js) after config.json's. Their parsed
+ * copies are dropped, since adding or removing one moves the others' indexes.
+ */
+async function loadLocalBooks(){
+  const first = state.datasets.findIndex(d=> d.local);
+  const from = first < 0 ? state.datasets.length : first;
+  for (let i = from; i < state.datasets.length; i++){
+    state.books.delete(i);
+    state.bookData.delete(i);
+  }
+  state.datasets.splice(from, Infinity, ...await localBooks());
+  assignSlugs(state.datasets);
+  allBooksLoading = null;
+}
+
+/** #/local added, replaced or removed a book. */
+async function onLocalBooksChanged(){
+  const current = state.datasets[state.currentDatasetIndex]?.path;
+  await loadLocalBooks();
+  const i = state.datasets.findIndex(d=> d.path === current);
+  state.currentDatasetIndex = Math.max(0, i);
+  renderDatasetOptions();
+  if (i < 0 || !state.bookData.has(state.currentDatasetIndex)) await hydrate(false);
+  if (state.allBooks) loadAllBooks();
+}
+
+/**
+ * Give every dataset a `slug` for its routes (#/bhb/7): config.json's "slug", else the
+ * file name ("hymnals/BHB_new.txt" -> "bhb-new"). Unlike the array index it doesn't change
+ * when books are reordered, or between config.json and config-embed.js.
+ */
+function assignSlugs(datasets){
+  const used = new Set(['hymn', 'set', 'all', ...Object.keys(PAGES)]);
+  for (const d of datasets){
+    const base = String(d.slug || (d.path || '').replace(/^.*\//, '').replace(/\.txt$/i, ''))
+      .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'book';
+    let slug = base;
+    for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+    used.add(slug);
+    d.slug = slug;
+  }
+}
+
+/** Dataset index for a route segment: a slug, or an old numeric index. -1 when unknown. */
+function datasetIndex(key=''){
+  const i = state.datasets.findIndex(d=> d.slug === key);
+  if (i >= 0 || !/^\d+$/.test(key)) return i;
+  const n = parseInt(key, 10);
+  return n < state.datasets.length ? n : -1;
+}
+
+function renderDatasetOptions(){
+  const sel = $('#datasetSelect');
+  const option = (d, i)=> html`<option value="${i}">${escapeHTML(d.name || d.path)}</option>`;
+  const local = state.datasets.map((d, i)=> d.local ? option(d, i) : '').join('');
+  sel.innerHTML = state.datasets.map((d, i)=> d.local ? '' : option(d, i)).join('')
+    + (local ? html`<optgroup label="Local">${local}</optgroup>` : '')
+    + (state.datasets.length > 1 ? '<option value="all">All books</option>' : '')
+    + '<option value="local">Load a hymnal file…</option>';
+  sel.value = state.allBooks ? 'all' : String(state.currentDatasetIndex);
+}
+
 function renderDatasetPicker(){
   const sel = $('#datasetSelect');
-  sel.innerHTML = state.datasets.map((d,i)=> html`<option value="${i}">${escapeHTML(d.name || d.path)}</option>`).join('');
-  sel.value = String(state.currentDatasetIndex);
+  renderDatasetOptions();
   sel.addEventListener('change', ()=>{
+    const wasDetail = !$('#detailView').classList.contains('hidden');
+
+    if (sel.value === 'local'){
+      sel.value = state.allBooks ? 'all' : String(state.currentDatasetIndex);
+      location.hash = '#/local';
+      return;
+    }
+
+    if (sel.value === 'all'){
+      setAllBooks(true);
+      if (wasDetail) showList();
+      return;
+    }
+
     const next = parseInt(sel.value,10);
-    if (Number.isNaN(next) || next === state.currentDatasetIndex) return;
+    const wasAll = state.allBooks;
+    setAllBooks(false);
+    if (Number.isNaN(next) || next === state.currentDatasetIndex){
+      if (wasAll) renderFromState();
+      return;
+    }
 
-    const parts = router.parse();
-    const wasDetail = (parts[0] === 'hymn');
     if (wasDetail) history.replaceState(null, '', '#');
 
     state.currentDatasetIndex = next;
@@ -127,6 +439,105 @@ function renderDatasetPicker(){
   });
 }
 
+function setAllBooks(on){
+  state.allBooks = on;
+  $('#sortFavBar').classList.toggle('hidden', on);
+  if (!on) return;
+  renderFromState();
+  loadAllBooks();
+}
+
+/** Fetch, parse and index one book; cached so "All books" and switching back are instant. */
+function loadBook(i){
+  if (!state.books.has(i)){
+    const ds = state.datasets[i];
+    const p = (ds.local ? localBookText(ds.path) : fetchTextWithFallback(ds.path))
+      .then(txt=> loadParsedBook(ds.path, txt))
+      .then(book=>{
+        state.bookData.set(i, book);
+        return book;
+      });
+    p.catch(()=> state.books.delete(i));
+    state.books.set(i, p);
+  }
+  return state.books.get(i);
+}
+
+let allBooksLoading = null;
+let allBooksBusy = false;
+function loadAllBooks(){
+  // One book at a time, re-rendering as each arrives, so typing stays responsive
+  allBooksLoading ||= (async ()=>{
+    allBooksBusy = true;
+    let failed = false;
+    for (let i = 0; i < state.datasets.length; i++){
+      try{ await loadBook(i); }
+      catch(err){ failed = true; console.warn(`All books: couldn't load ${state.datasets[i].path}`, err); }
+      if (state.allBooks) renderFromState();
+      refreshPanels();
+      await new Promise(r=> setTimeout(r, 0));
+    }
+    allBooksBusy = false;
+    if (failed) allBooksLoading = null;     // so asking again retries the ones that failed
+    refreshPanels();
+  })();
+  return allBooksLoading;
+}
+
+function renderAllBooks(){
+  const q = currentQuery();
+  const ul = $('#results');
+  const stats = $('#resultStats');
+  const total = state.datasets.length;
+  const loaded = state.bookData.size;
+  const loading = loaded < total ? ` (loading ${loaded} of ${total} books…)` : '';
+
+  if (!shouldSearchQuery(q)){
+    ul.innerHTML = '';
+    stats.textContent = `Type to search all ${total} books${loading}`;
+    renderSearchFix(q, null);
+    return;
+  }
+
+  const books = [...state.bookData].sort((a, b)=> a[0] - b[0]);
+  const notes = new Map(books.map(([i, book])=> [i, { notes: noteTexts(i, book.rows) }]));
+  const searchAll = (query)=> books.map(([i, book])=> [i, search(book.index, book.rows, query, notes.get(i))]);
+  let results = searchAll(q);
+  const fixed = results.every(([, hits])=> !hits.length)
+    ? spellingFix(books.map(([, book])=> book.index), q, (fq)=> searchAll(fq).some(([, hits])=> hits.length))
+    : null;
+  if (fixed) results = searchAll(fixed);
+  renderSearchFix(q, fixed);
+
+  let count = 0;
+  const parts = [];
+  for (const [i, hits] of results){
+    const ds = state.datasets[i];
+    if (!hits.length) continue;
+    count += hits.length;
+    const name = ds.name || ds.path;
+    parts.push(html`<li class="cat-heading" role="presentation">${escapeHTML(name)} <span class="book-count">(${hits.length})</span></li>`);
+    for (const r of hits.slice(0, ALL_BOOKS_LIMIT)){
+      const where = hitWhere(r, fixed || q);
+      parts.push(html`
+    <li data-id="${escapeHTML(r.id)}">
+      <span class="hymn-no">${escapeHTML(r.number || '—')}</span>
+      <a href="${hymnHref(i, r.id, where.at)}" class="hymn-title">${escapeHTML(r.title || '(Untitled)')}</a>${where.label}${noteMark(notes.get(i).notes.get(r.id))}
+    </li>`);
+    }
+    if (hits.length > ALL_BOOKS_LIMIT){
+      parts.push(html`<li class="more-row"><button type="button" class="more-btn" data-book="${i}">Show all ${hits.length} in ${escapeHTML(name)}</button></li>`);
+    }
+  }
+  ul.innerHTML = parts.join('');
+  stats.textContent = `${count} results for “${fixed || q}” across ${loaded} book${loaded===1?'':'s'}${loading}`;
+}
+
+/** Link to a hymn; `at` ("v3", "c1") opens it at that verse or chorus. */
+function hymnHref(ds, id, at = ''){
+  return `#/${state.datasets[ds].slug}/${encodeURIComponent(id)}${at ? `?at=${at}` : ''}`;
+}
+
 function getEmbedded(path){
   try{
     const m = window.__HYMNALS_EMBED__ || null;
@@ -150,385 +561,410 @@ async function fetchTextWithFallback(path){
   }
 }
 
-function normalizeNewlines(s=''){
-  return String(s)
-    .replace(/^\uFEFF/, '')
-    .replace(/\r\n/g,'\n')
-    .replace(/\r/g,'\n');
-}
-
-function stripTags(s=''){
-  return s.replace(/<[^>]*>/g,'');
-}
-
-function sanitizeInlineHtml(s=''){
-  let out = String(s);
-  out = out.replace(/<span\b[^>]*fa-pause-circle[^>]*><\/span>/gi, '');
-  out = out.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
-  out = out.replace(/\son\w+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '');
-  out = out.replace(/\s(href|src)\s*=\s*(['"])\s*javascript:[^'\"]*\2/gi, ' $1="#"');
-  // Strip links but keep inner text
-  out = out.replace(/<a\b[^>]*>/gi, '').replace(/<\/a>/gi, '');
-  return out;
+function starSvg(){
+  return `<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 17.3l-6.18 3.25 1.18-6.88L1 8.99l6.91-1L12 1.75l3.09 6.24 6.91 1-5 4.68 1.18 6.88z"/></svg>`;
 }
 
-function removeEndingPunctuation(line){
-  const s = (line ?? '').toString();
-  if (!s) return s;
-  const last = s.slice(-1);
-  if (last === ',' || last === '-' || last === ':' || last === ';') return s.slice(0,-1);
-  return s;
+/** "matched verse 3" after a search result, and the block to open. */
+function hitWhere(row, q){
+  const b = q ? matchedBlock(row, q) : null;
+  if (!b) return { at: '', label: '' };
+  return { at: blockAt(b), label: html` <span class="hit-where">matched ${escapeHTML(blockLabel(row, b))}${b.first ? ' first line' : ''}</span>` };
 }
 
-function parseBool(s){
-  return String(s||'').trim().toLowerCase() === 'true';
+/** ✎ after a list row whose hymn has a note; the note is its tooltip. */
+function noteMark(note){
+  return note ? html` <span class="note-mark" title="${escapeHTML(note)}" aria-label="Has a note">✎</span>` : '';
 }
 
-function parseSections(fullText){
-  const t = normalizeNewlines(fullText);
-  const lines = t.split('\n');
-  const sections = Object.create(null);
-  let cur = null;
-
-  for (const raw of lines){
-    const line = raw ?? '';
-    if (line.startsWith('--')){
-      cur = line.slice(2).trim();
-      const key = cur.toLowerCase();
-      if (!(key in sections)) sections[key] = '';
-      continue;
-    }
-    if (cur){
-      sections[cur.toLowerCase()] += line + '\n';
+function drawList(rows, q = ''){
+  const ul = $('#results');
+  const headings = showCategoryHeadings();
+  const notes = noteTexts(state.currentDatasetIndex, state.rows);
+  let lastCat = null;
+  ul.innerHTML = rows.map(r => {
+    let head = '';
+    if (headings && r.category !== lastCat){
+      lastCat = r.category;
+      if (r.category) head = html`<li class="cat-heading" id="${categoryAnchor(r.category)}" role="presentation">${escapeHTML(r.category)}</li>`;
     }
-  }
-
-  for (const k of Object.keys(sections)){
-    // trim one trailing newline
-    if (sections[k].endsWith('\n')) sections[k] = sections[k].slice(0,-1);
-  }
-  return sections;
-}
-
-function parseIndexOrder(indexSectionText=''){
-  const raw = (indexSectionText || '').trim();
-  if (!raw) return [];
-  const parts = raw.split(',').map(x=>x.trim()).filter(Boolean);
-  const out = [];
-  const seen = new Set();
-  for (const p of parts){
-    const songNum = p.split('|')[0].replace(/[\s\.]/g,'');
-    // Allow hymn 0 (cover) as well as 1..N
-    if (!songNum || !/^\d+$/.test(songNum)) continue;
-    if (seen.has(songNum)) continue;
-    seen.add(songNum);
-    out.push(songNum);
-  }
-  return out;
-}
-
-function computeOffsets(meta){
-  // Mirrors the APK logic (convertSong): fixed offsets after hymn number line.
-  let topTextIndex = 1;
-  let bottomTextIndex = 1;
-  let meterIndex = 1;
-  let firstLyricIndex = 2;
-
-  if (!meta.firstLineIsTitle){
-    firstLyricIndex++; topTextIndex++; bottomTextIndex++; meterIndex++;
-  }
-  if (meta.useTopText){
-    firstLyricIndex++; bottomTextIndex++; meterIndex++;
-  }
-  if (meta.useBottomText){
-    firstLyricIndex++; meterIndex++;
-  }
-  if (meta.useMeter){
-    firstLyricIndex++;
-  }
-  return { topTextIndex, bottomTextIndex, meterIndex, firstLyricIndex };
+    const where = hitWhere(r, q);
+    return head + html`
+    <li data-id="${escapeHTML(r.id)}">
+      <button class="fav-btn ${isFav(r.id) ? 'filled' : ''}" data-id="${escapeHTML(r.id)}" title="${isFav(r.id) ? 'Unfavorite' : 'Favorite'}" aria-label="${isFav(r.id) ? 'Unfavorite' : 'Favorite'}">
+        ${starSvg()}
+      </button>
+      <span class="hymn-no">${escapeHTML(r.number || '—')}</span>
+      <a href="${hymnHref(state.currentDatasetIndex, r.id, where.at)}" class="hymn-title">${escapeHTML(r.title || '(Untitled)')}</a>${where.label}${noteMark(notes.get(r.id))}
+    </li>
+  `;
+  }).join('');
 }
 
-function isHymnNumberLine(rawLine, prevLine){
-  // Hymn numbers are digits-only lines (no meters like 10.6.10.6.).
-  // Allow hymn 0 for "cover" entries. Keep blank-line guard to avoid false positives.
-  const t = (rawLine ?? '').toString().trim();
-  if (!t) return null;
-  if (!/^\d+$/.test(t)) return null;
-
-  const n = parseInt(t, 10);
-  if (!Number.isFinite(n) || n < 0 || n > 2000) return null;
-
-  const prev = (prevLine ?? '').toString().trim();
-  if (prev !== '') return null;
+function renderDetail(h){
+  $('#hymnTitle').textContent = (h.number ? h.number + '. ' : '') + (h.title || '(Untitled)');
 
-  return t;
-}
+  const top = h._raw?.topTextHtml || '';
+  const bottom = h._raw?.bottomTextHtml || '';
+  const meter = h._raw?.meterText || '';
 
-function buildLyricsHtml(lyricsLines){
-  // Original app behavior: chorus triggered by line that is only "c" or "chorus".
-  const out = [];
-  let buf = [];
-  let mode = 'stanza';
-
-  const flush = ()=>{
-    if (!buf.length) return;
-    const block = buf.map(l=>sanitizeInlineHtml(l)).join('<br>');
-    out.push(`<div class="${mode}">${block}</div>`);
-    buf = [];
-  };
+  const topEl = $('#hymnTopText');
+  const bottomEl = $('#hymnBottomText');
+  const meterEl = $('#hymnMeter');
+  const infoEl = $('#hymnInfo');
+
+  // Labelled fields when the top/bottom text could be understood; raw HTML otherwise
+  const fields = metaFields(h).filter(([k])=> k !== 'Meter');
+  const structured = fields.length > 0;
+  infoEl.innerHTML = fields.map(([k, v])=> html`<dt>${escapeHTML(k)}</dt><dd>${escapeHTML(v)}</dd>`).join('');
+  infoEl.classList.toggle('hidden', !structured);
+
+  topEl.innerHTML = top && !structured ? top : '';
+  bottomEl.innerHTML = bottom && !structured ? bottom : '';
+  // A meter we understand links to every hymn in it
+  const m = rowMeter(h);
+  meterEl.innerHTML = !meter ? '' : m
+    ? html`<a href="#/meter/${encodeURIComponent(m.key)}" title="All hymns in ${escapeHTML(m.label)}">${escapeHTML(meter)}</a>`
+    : escapeHTML(meter);
+
+  topEl.classList.toggle('hidden', !top || structured);
+  bottomEl.classList.toggle('hidden', !bottom || structured);
+  meterEl.classList.toggle('hidden', !meter);
 
-  for (const rawLine of lyricsLines){
-    const line = (rawLine ?? '').replace(/\r/g,'');
-    const trimmed = line.trim();
-    const lower = trimmed.toLowerCase();
+  const catEl = $('#hymnCategory');
+  catEl.textContent = h.category ? `Category: ${h.category}` : '';
+  catEl.classList.toggle('hidden', !h.category);
 
-    if (!trimmed){
-      flush();
-      mode = 'stanza';
-      continue;
-    }
+  const tagsEl = $('#hymnTags');
+  const tagLabels = (h.tags || []).map(c=> tagInfo(c)).filter(Boolean);
+  tagsEl.innerHTML = tagLabels.map(t=> html`<span class="tag-chip" title="${escapeHTML(t.group)}">${escapeHTML(t.label)}</span>`).join('');
+  tagsEl.classList.toggle('hidden', !tagLabels.length);
 
-    if (lower === 'c' || lower === 'chorus' || lower === 'chorus:' || lower === 'c.'){
-      flush();
-      mode = 'chorus';
-      continue;
-    }
+  showTunes(h, tuneBases());
 
-    buf.push(line);
-  }
-  flush();
-  return out.join('\n');
-}
-
-function extractTitleFromLyricsLines(lyricsLines){
-  // Skip blank lines, copyright marker "(C)", and chorus markers at the very top.
-  let i = 0;
-  let prefix = '';
-  while (i < lyricsLines.length){
-    const raw = (lyricsLines[i] ?? '').toString();
-    const t = decodeEntities(stripTags(raw)).trim();
-    const up = t.toUpperCase();
-
-    if (!t){ i++; continue; }
-
-    // Copyright marker line (C) => title is the next meaningful line, prefixed with ©
-    if (up.includes('(C)')){
-      prefix = '© ';
-      i++;
-      continue;
-    }
+  renderLyrics(h);
 
-    // Chorus markers
-    const low = t.toLowerCase();
-    if (low === 'c' || low === 'chorus' || low === 'chorus:' || low === 'c.'){
-      i++;
-      continue;
-    }
+  renderAlsoIn(h);
+  renderSameMeter(h);
 
-    return prefix + removeEndingPunctuation(t);
-  }
-  return '';
+  const favBtn = $('#favBtnDetail');
+  const pressed = isFav(h.id);
+  favBtn.setAttribute('aria-pressed', pressed ? 'true' : 'false');
+  favBtn.textContent = pressed ? '★' : '☆';
 }
 
-function parseHymnal(fullText){
-  const sections = parseSections(fullText);
+/**
+ * The words, with the reader settings' verse numbers / repeated choruses / hidden meta,
+ * and the user's note and highlights.
+ */
+function renderLyrics(h){
+  const box = $('#hymnLyrics');
+  box.innerHTML = h._raw?.lyricsHtml || escapeHTML(h.lyrics || '').replace(/\n/g,'<br>');
+  decorateLyrics(box, $('#hymnArticle'));
+  wrapLines(box);                  // after the repeated choruses, so they can be highlighted too
+  // Highlights live on the line spans, so they go back on whenever the words are rebuilt
+  $('#hymnNotes').classList.remove('hidden');
+  showHymnNotes($('#hymnNotes'), box, { path: state.datasets[state.currentDatasetIndex].path, row: h, rows: state.rows });
+}
 
-  // Header meta
-  const meta = {
-    title: (sections['title'] || '').trim(),
-    additionalInfoHtml: sanitizeInlineHtml(sections['additionalinfo'] || sections['additionalInfo'] || ''),
-    firstLineIsTitle: parseBool(sections['firstlineistitle']),
-    useTopText: parseBool(sections['usetoptext']),
-    useBottomText: parseBool(sections['usebottomtext']),
-    useMeter: parseBool(sections['usemeter']),
-    indexOrder: parseIndexOrder(sections['index'] || ''),
+/**
+ * "Also in" panel: the same hymn in the other books loaded so far. The rest are only
+ * downloaded when asked for (all 17 books are several MB, and may not be kept offline).
+ */
+function renderAlsoIn(h){
+  const panel = $('#alsoIn');
+  const status = $('#alsoInStatus');
+  const hits = findAlsoIn(h, state.currentDatasetIndex, state.bookData, state.datasets);
+  const pending = state.datasets.length - state.bookData.size;
+  $('#alsoInList').innerHTML = hits.map(x=>{
+    const name = state.datasets[x.ds]?.name || state.datasets[x.ds]?.path || '';
+    return html`
+      <li>
+        <a href="${hymnHref(x.ds, x.row.id)}">${escapeHTML(name)} #${escapeHTML(x.row.number)}</a>
+        <span class="muted">${escapeHTML(x.row.title || '')}${x.via === 'match' ? ' (similar first line)' : ''}</span>
+      </li>`;
+  }).join('');
+  status.innerHTML = !pending ? ''
+    : allBooksBusy ? 'Checking other books…'
+    : html`<button type="button" data-act="all">Look in the other ${pending} book${pending === 1 ? '' : 's'}</button>`;
+  status.onclick = (e)=>{
+    if (!e.target.closest('button[data-act="all"]')) return;
+    loadAllBooks();
+    refreshPanels();
   };
-  state.datasetMeta = meta;
-
-  const lyricsText = normalizeNewlines(sections['lyrics'] || '');
-  const lines = lyricsText.split('\n');
+  panel.classList.toggle('hidden', !hits.length && !pending);
+}
 
-  const offsets = computeOffsets(meta);
+/** "Same meter" panel: other hymns whose words fit this hymn's tunes, this book first. */
+function renderSameMeter(h){
+  const panel = $('#sameMeter');
+  const m = rowMeter(h);
+  if (!interchangeable(m)){ panel.classList.add('hidden'); return; }
+  const cur = state.currentDatasetIndex;
+  const hits = hymnsInMeter(m.key, state.bookData)
+    .filter(x=> !(x.ds === cur && x.row.id === h.id))
+    .sort((a, b)=> (b.ds === cur) - (a.ds === cur));
+  $('#sameMeterTitle').textContent = `Same meter: ${m.label}`;
+  $('#sameMeterList').innerHTML = hits.slice(0, 10).map(x=>{
+    const name = x.ds === cur ? '' : (state.datasets[x.ds]?.name || state.datasets[x.ds]?.path || '') + ' ';
+    const extra = [x.row.tune, x.meter.chorus ? 'with chorus' : ''].filter(Boolean).join(' · ');
+    return html`
+      <li>
+        <a href="${hymnHref(x.ds, x.row.id)}">${escapeHTML(name)}#${escapeHTML(x.row.number)} ${escapeHTML(x.row.title || '')}</a>
+        ${extra ? html`<span class="muted">${escapeHTML(extra)}</span>` : ''}
+      </li>`;
+  }).join('');
+  const more = $('#sameMeterMore');
+  more.href = `#/meter/${encodeURIComponent(m.key)}`;
+  more.textContent = `All ${hits.length + 1} hymns in ${m.label} →`;
+  more.classList.toggle('hidden', hits.length <= 10);
+  panel.classList.toggle('hidden', !hits.length);
+}
 
-  // Collect hymn chunks
-  const chunks = [];
-  let cur = null;
+/** Books finished loading: refresh the detail view's cross-book panels. */
+function refreshPanels(){
+  const h = currentHymn();
+  if (!h) return;
+  renderAlsoIn(h);
+  renderSameMeter(h);
+}
 
-  for (let i = 0; i < lines.length; i++){
-    const n = isHymnNumberLine(lines[i], i>0 ? lines[i-1] : "");
-    if (n){
-      if (cur) chunks.push(cur);
-      cur = { number: n, lines: [lines[i]] };
-      continue;
-    }
-    if (cur) cur.lines.push(lines[i]);
-  }
-  if (cur) chunks.push(cur);
+/** The hymn shown in #detailView, or null when the detail view is closed. */
+function currentHymn(){
+  if ($('#detailView').classList.contains('hidden')) return null;
+  return state.rows.find(r=> r.id === state.detailId) || null;
+}
 
-  const byNumber = new Map();
+/** [label, text] pairs for a hymn's structured metadata, in display order. */
+function metaFields(h){
+  const out = [];
+  if (h.author) out.push(['Words', h.authorYear ? `${h.author} (${h.authorYear})` : h.author]);
+  if (h.tune) out.push(['Tune', h.tune]);
+  if (h.meter) out.push(['Meter', h.meter]);
+  if (h.source) out.push(['Source', h.source]);
+  if (h.crossRefs?.length) out.push(['Also numbered', h.crossRefs.map(r=> `${bookLabel(r.code)} #${r.number}`).join(', ')]);
+  if (h.info) out.push(['Note', h.info]);
+  return out;
+}
 
-  for (const c of chunks){
-    const hymnLines = c.lines;
-    const number = c.number;
+function tuneBases(){
+  // The book's --audioURL first, then .abc files served beside the hymnal itself
+  const ds = state.datasets[state.currentDatasetIndex] || {};
+  const local = (ds.path || '').replace(/[^/]*$/, '');
+  const remote = state.datasetMeta.audioURL;
+  return [remote ? (remote.endsWith('/') ? remote : remote + '/') : null, local].filter(b=> b !== null);
+}
 
-    // Defensive: ensure we have enough lines
-    const getLine = (idx)=> (idx >= 0 && idx < hymnLines.length) ? hymnLines[idx] : '';
+function showList(){
+  stopTunes();
+  $('#detailView').classList.add('hidden');
+  $('#pageView').classList.add('hidden');
+  $('#listView').classList.remove('hidden');
+  state.trail = null;          // set again when a hymn is opened from the list
+  listRouted = true;
+  renderFromState();           // also writes the list's hash
+  // Back from a hymn: return to where the list was scrolled
+  const y = history.state?.listScroll;
+  if (typeof y === 'number') window.scrollTo(0, y);
+}
 
-    let title = '';
-    if (!meta.firstLineIsTitle){
-      // Title is supplied on the line right after hymn number
-      title = removeEndingPunctuation(decodeEntities(stripTags(getLine(1))).trim());
-    }
+/** Remember the list's scroll position in its history entry (survives Back and reloads). */
+function saveListScroll(){
+  if ($('#listView').classList.contains('hidden')) return;
+  history.replaceState({ ...history.state, listScroll: window.scrollY }, '', location.href);
+}
 
-    const topTextRaw = meta.useTopText ? getLine(offsets.topTextIndex) : '';
-    const bottomTextRaw = meta.useBottomText ? getLine(offsets.bottomTextIndex) : '';
-    const meterRaw = meta.useMeter ? getLine(offsets.meterIndex) : '';
+// Secondary screens, reached from the ☰ menu as #/<name>
+const PAGES = {
+  offline: (el)=> showOfflinePage(el, state.datasets.filter(d=> !d.local)),
+  local: (el)=> showLocalBooksPage(el, { datasets: state.datasets, onChange: onLocalBooksChanged }),
+  sets: (el)=> showSetlistsPage(el, { datasets: state.datasets }),
+  set: (el, parts)=> showSetlistPage(el, decodeURIComponent(parts[1] || ''), { datasets: state.datasets, loadBook }),
+  backup: (el)=> showBackupPage(el, { datasets: state.datasets, loadBook, onImported: ()=>{ loadFavorites(); applyReaderSettings(); renderFromState(); } }),
+  export: (el, parts)=> showExportPage(el, parts[1] ? datasetIndex(parts[1]) : state.currentDatasetIndex, { datasets: state.datasets, loadBook, favorites: favoritesOf }),
+  lines: (el, parts)=> showFirstLinesPage(el, parts[1] ? datasetIndex(parts[1]) : state.currentDatasetIndex, { datasets: state.datasets, loadBook, hymnHref }),
+  meters: (el)=> showMetersPage(el, { datasets: state.datasets, loadBook }),
+  meter: (el, parts)=> showMeterPage(el, decodeURIComponent(parts[1] || ''), { datasets: state.datasets, loadBook, hymnHref }),
+  recent: (el)=> showRecentPage(el, { datasets: state.datasets, loadBook, hymnHref }),
+  stats: (el, parts)=> showStatsPage(el, parts[1] ? datasetIndex(parts[1]) : state.allBooks ? -1 : state.currentDatasetIndex, { datasets: state.datasets, loadBook, hymnHref }),
+  present: (el, parts)=> showPresenterPage(el, datasetIndex(parts[1]), decodeURIComponent(parts[2] || ''), { datasets: state.datasets, loadBook }),
+};
 
-    const lyricsLines = hymnLines.slice(offsets.firstLyricIndex);
+function showPage(name, parts){
+  stopTunes();
+  $('#listView').classList.add('hidden');
+  $('#detailView').classList.add('hidden');
+  $('#pageView').classList.remove('hidden');
+  const el = $('#pageBody');
+  el.onclick = el.onchange = el.onsubmit = null;   // each page installs its own
+  el.ondragstart = el.ondragover = el.ondrop = el.ondragend = null;
+  PAGES[name](el, parts);
+  window.scrollTo(0,0);
+}
 
-    if (meta.firstLineIsTitle){
-      title = extractTitleFromLyricsLines(lyricsLines) || `Hymn ${number}`;
-    }
+/** sw.js (or "Update" in #/offline) replaced a kept book with a newer copy: forget the parsed one. */
+function onBookUpdated(pathname){
+  const i = state.datasets.findIndex(d=> new URL(d.path, location.href).pathname === pathname);
+  if (i < 0) return;
+  state.books.delete(i);
+  state.bookData.delete(i);
+  if (i !== state.currentDatasetIndex) return;
+  // The current book is read again now, so it's the new text wherever it shows next;
+  // the list or hymn on screen is redrawn with it
+  const shown = !$('#listView').classList.contains('hidden') || !$('#detailView').classList.contains('hidden');
+  hydrate(shown);
+}
 
-    // Plain-text fields for search/copy
-    const topTextPlain = decodeEntities(stripTags(topTextRaw)).replace(/\s+/g,' ').trim();
-    const bottomTextPlain = decodeEntities(stripTags(bottomTextRaw)).replace(/\s+/g,' ').trim();
-    const meterPlain = decodeEntities(stripTags(meterRaw)).replace(/\s+/g,' ').trim();
-
-    const lyricsPlain = decodeEntities(stripTags(lyricsLines.join('\n')))
-      .replace(/\n{3,}/g,'\n\n')
-      .trim();
-
-    const lyricsHtml = buildLyricsHtml(lyricsLines);
-
-    const metaSearch = [topTextPlain, bottomTextPlain].filter(Boolean).join(' • ');
-
-    byNumber.set(number, {
-      id: `${number}`,
-      number,
-      title: title || `Hymn ${number}`,
-      // Reuse existing search weights by storing meta under author
-      author: metaSearch,
-      tune: '',
-      meter: meterPlain,
-      scripture: '',
-      lyrics: lyricsPlain,
-      _raw: {
-        topTextHtml: sanitizeInlineHtml(topTextRaw || ''),
-        bottomTextHtml: sanitizeInlineHtml(bottomTextRaw || ''),
-        meterText: meterPlain,
-        lyricsHtml,
-      }
-    });
+/** #/set/<id>/<n>: the n-th hymn of a setlist, switching book when the item needs it. */
+function showSetItem(setId, pos){
+  const set = getSetlist(setId);
+  const item = set?.items[pos];
+  if (!item){ location.replace(`#/set/${encodeURIComponent(setId)}`); return; }
+  const ds = state.datasets.findIndex(d=> d.path === item.path);
+  if (ds < 0){ showDetail(null, { set, pos }); return; }
+  if (ds !== state.currentDatasetIndex){
+    state.currentDatasetIndex = ds;
+    if (!state.allBooks) $('#datasetSelect').value = String(ds);
+    hydrate();                 // hydrate() re-runs the route once the book is in
+    return;
   }
+  showDetail(item.id, { set, pos });
+}
 
-  // Order hymns: prefer --index order if provided.
-  const ordered = [];
-  const seen = new Set();
-
-  if (meta.indexOrder && meta.indexOrder.length){
-    let pos = 0;
-    for (const n of meta.indexOrder){
-      const h = byNumber.get(n);
-      if (!h) continue;
-      if (seen.has(n)) continue;
-      seen.add(n);
-      h._order = pos++;
-      ordered.push(h);
-    }
-    // Add anything not in index at the end (stable numeric)
-    const rest = Array.from(byNumber.values()).filter(h=>!seen.has(h.number));
-    rest.sort((a,b)=>parseInt(a.number,10)-parseInt(b.number,10));
-    for (const h of rest){ h._order = pos++; ordered.push(h); }
-  } else {
-    const all = Array.from(byNumber.values());
-    all.sort((a,b)=>parseInt(a.number,10)-parseInt(b.number,10));
-    all.forEach((h,idx)=> h._order = idx);
-    ordered.push(...all);
-  }
+function renderSetBar(ctx){
+  const bar = $('#setBar');
+  bar.classList.toggle('hidden', !ctx);
+  if (!ctx){ bar.innerHTML = ''; return; }
+  const { set, pos } = ctx;
+  const n = set.items.length;
+  const note = set.items[pos].note;
+  bar.innerHTML = html`
+    ${pos > 0 ? html`<a href="${setItemHref(set.id, pos - 1)}" rel="prev">← Previous</a>` : '<span></span>'}
+    <span class="set-bar-title"><a href="#/set/${encodeURIComponent(set.id)}">${escapeHTML(set.name)}</a> · ${pos + 1} of ${n}
+      ${note ? html`<span class="set-bar-note">${escapeHTML(note)}</span>` : ''}</span>
+    ${pos < n - 1 ? html`<a href="${setItemHref(set.id, pos + 1)}" rel="next">Next →</a>` : '<span></span>'}`;
+}
 
-  // Ensure hymn 0 (cover) is always first if present
-  const coverIdx = ordered.findIndex(h => h.number === '0');
-  if (coverIdx >= 0){
-    const [cover] = ordered.splice(coverIdx, 1);
-    ordered.unshift(cover);
-    ordered.forEach((h,i)=> h._order = i);
+/** A setlist item whose book or hymn is gone: keep the set bar so paging still works. */
+function renderMissing(item){
+  stopTunes();
+  $('#hymnTitle').textContent = 'Hymn not found';
+  for (const sel of ['#hymnInfo', '#hymnTopText', '#hymnBottomText', '#hymnMeter', '#hymnCategory', '#hymnTags', '#tunePanel', '#hymnNotes', '#alsoIn', '#sameMeter']){
+    $(sel).classList.add('hidden');
   }
-
-  return ordered;
+  $('#hymnLyrics').innerHTML = html`<p class="muted">${escapeHTML(item.path)} has no hymn with id ${escapeHTML(item.id)}.</p>`;
 }
 
-function starSvg(){
-  return `<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M12 17.3l-6.18 3.25 1.18-6.88L1 8.99l6.91-1L12 1.75l3.09 6.24 6.91 1-5 4.68 1.18 6.88z"/></svg>`;
+function renderSetPicker(){
+  const sets = sortedSetlists();
+  $('#setAddSelect').innerHTML = html`<option value="">+ Setlist</option>` +
+    sets.map(s=> html`<option value="${escapeHTML(s.id)}">${escapeHTML(s.name)}${s.date ? ` (${escapeHTML(s.date)})` : ''}</option>`).join('') +
+    '<option value="new">New setlist…</option>';
+  $('#setAddSelect').value = '';
 }
 
-function drawList(rows){
-  const ul = $('#results');
-  ul.innerHTML = rows.map(r => html`
-    <li data-id="${escapeHTML(r.id)}">
-      <button class="fav-btn ${isFav(r.id) ? 'filled' : ''}" data-id="${escapeHTML(r.id)}" title="${isFav(r.id) ? 'Unfavorite' : 'Favorite'}" aria-label="${isFav(r.id) ? 'Unfavorite' : 'Favorite'}">
-        ${starSvg()}
-      </button>
-      <span class="hymn-no">${escapeHTML(r.number || '—')}</span>
-      <a href="#/hymn/${state.currentDatasetIndex}/${encodeURIComponent(r.id)}" class="hymn-title">${escapeHTML(r.title || '(Untitled)')}</a>
-    </li>
-  `).join('');
+function showDetail(id, setCtx = null){
+  const h = state.rows.find(r => r.id === id);
+  if (!h && !setCtx){ showList(); return; }
+  state.detailId = h ? h.id : null;
+  renderSetBar(setCtx);
+  renderHymnNav(!!h && !setCtx);
+  renderSetPicker();
+  $('#setAddStatus').textContent = '';
+  if (h){
+    renderDetail(h);
+    recordOpen(state.datasets[state.currentDatasetIndex].path, h.id, 'view');
+  } else renderMissing(setCtx.set.items[setCtx.pos]);
+  $('#listView').classList.add('hidden');
+  $('#pageView').classList.add('hidden');
+  $('#detailView').classList.remove('hidden');
+  window.scrollTo(0,0);
 }
 
-function renderDetail(h){
-  $('#hymnTitle').textContent = (h.number ? h.number + '. ' : '') + (h.title || '(Untitled)');
-
-  const top = h._raw?.topTextHtml || '';
-  const bottom = h._raw?.bottomTextHtml || '';
-  const meter = h._raw?.meterText || '';
-
-  const topEl = $('#hymnTopText');
-  const bottomEl = $('#hymnBottomText');
-  const meterEl = $('#hymnMeter');
+/** The list as shown, kept when a hymn is opened from it so previous/next can follow it. */
+function listTrail(){
+  const q = currentQuery();
+  return {
+    hrefs: $$('#results a.hymn-title').map(a=> a.getAttribute('href')),
+    noun: shouldSearchQuery(q) ? 'results' : state.viewFavorites && !state.allBooks ? 'favorites' : 'hymns',
+  };
+}
 
-  topEl.innerHTML = top ? top : '';
-  bottomEl.innerHTML = bottom ? bottom : '';
-  meterEl.textContent = meter ? meter : '';
+/**
+ * The open hymn's neighbours: { prev, next, pos, total, noun }, in the list it was opened from
+ * (search results, favorites, sort order, All books), else in the book's own order.
+ */
+function hymnNav(){
+  const here = hymnHref(state.currentDatasetIndex, state.detailId);
+  const trail = state.trail;
+  const i = trail ? trail.hrefs.findIndex(x=> x.replace(/\?.*$/, '') === here) : -1;
+  if (i >= 0) return { prev: trail.hrefs[i - 1], next: trail.hrefs[i + 1], pos: i + 1, total: trail.hrefs.length, noun: trail.noun };
+
+  // state.rows is in book order (_order)
+  const j = state.rows.findIndex(r=> r.id === state.detailId);
+  const ds = state.datasets[state.currentDatasetIndex];
+  const href = (r)=> r && hymnHref(state.currentDatasetIndex, r.id);
+  return { prev: href(state.rows[j - 1]), next: href(state.rows[j + 1]), pos: j + 1, total: state.rows.length, noun: `in ${ds.name || ds.path}` };
+}
 
-  topEl.classList.toggle('hidden', !top);
-  bottomEl.classList.toggle('hidden', !bottom);
-  meterEl.classList.toggle('hidden', !meter);
+function renderHymnNav(show){
+  const bar = $('#hymnNav');
+  bar.classList.toggle('hidden', !show);
+  if (!show){ bar.innerHTML = ''; return; }
+  const { prev, next, pos, total, noun } = hymnNav();
+  bar.innerHTML = html`
+    ${prev ? html`<a href="${prev}" rel="prev">← Previous</a>` : '<span></span>'}
+    <span class="set-bar-title">${pos} of ${total} ${escapeHTML(noun)}</span>
+    ${next ? html`<a href="${next}" rel="next">Next →</a>` : '<span></span>'}`;
+}
 
-  $('#hymnLyrics').innerHTML = h._raw?.lyricsHtml || escapeHTML(h.lyrics || '').replace(/\n/g,'<br>');
+/**
+ * Previous/next hymn from the detail view (buttons, ← →, swipe): through the setlist when
+ * there is one, else hymnNav()'s. Back still returns to the list.
+ */
+function stepHymn(delta){
+  const bar = $('#setBar').classList.contains('hidden') ? '#hymnNav' : '#setBar';
+  const link = $(`${bar} a[rel="${delta < 0 ? 'prev' : 'next'}"]`);
+  if (!link) return;
+  if (bar === '#setBar') location.hash = link.getAttribute('href');
+  else location.replace(link.getAttribute('href'));
+}
 
-  const favBtn = $('#favBtnDetail');
-  const pressed = isFav(h.id);
-  favBtn.setAttribute('aria-pressed', pressed ? 'true' : 'false');
-  favBtn.textContent = pressed ? '★' : '☆';
+/** Hymn number `n` in the current book, for the quick jump. */
+function findNumber(n){
+  const h = /^\d+$/.test(n) ? state.rows.find(r=> r.number === String(parseInt(n, 10))) : null;
+  return h ? { title: `${h.number}. ${h.title}`, href: hymnHref(state.currentDatasetIndex, h.id) } : null;
 }
 
-function showList(){
-  $('#detailView').classList.add('hidden');
-  $('#listView').classList.remove('hidden');
-  history.replaceState(null, '', '#');
+function currentView(){
+  if (!$('#detailView').classList.contains('hidden')) return 'detail';
+  return $('#pageView').classList.contains('hidden') ? 'list' : 'page';
 }
 
-function showDetail(id){
-  const h = state.rows.find(r => r.id === id);
-  if (!h){ showList(); return; }
-  renderDetail(h);
-  $('#listView').classList.add('hidden');
-  $('#detailView').classList.remove('hidden');
-  window.scrollTo(0,0);
+/** #/<slug>/<id>?at=v3: bring that verse or chorus into view. */
+function showBlock(at){
+  if (!/^[vc]\d+$/.test(at || '')) return;
+  const el = $(`#hymnLyrics [data-at="${at}"]`);
+  if (!el) return;
+  el.classList.add('is-target');
+  el.scrollIntoView({ block: 'center' });
 }
 
-async function hydrate(){
+/** Load the current book into the list; `route` re-runs the router once it's in. */
+async function hydrate(route = true){
   const ds = state.datasets[state.currentDatasetIndex];
   if (!ds) return;
 
-  const txt = await fetchTextWithFallback(ds.path);
-  state.rows = parseHymnal(txt);
-  state.index = buildIndex(state.rows);
+  const book = await loadBook(state.currentDatasetIndex);
+  state.datasetMeta = book.meta;
+  state.rows = book.rows;
+  state.index = book.index;
 
   loadFavorites();
+  renderTagFilter();
+  renderCategoryFilter();
   renderFromState();
-  router.handle();
+  if (route) router.handle();
 }
 
 function setupUI(){
@@ -566,60 +1002,176 @@ function setupUI(){
 
   $('#favoritesToggle').addEventListener('click', ()=>{ state.viewFavorites = !state.viewFavorites; renderFromState(); });
 
+  $('#categoryFilter').addEventListener('change', (e)=>{ state.categoryFilter = e.target.value; renderFromState(); });
+  $('#categoryJump').addEventListener('change', (e)=>{
+    const el = e.target.value && document.getElementById(e.target.value);
+    if (el) el.scrollIntoView({ block: 'start' });
+    e.target.value = '';
+  });
+
+  $('#tagFilterBody').addEventListener('change', (e)=>{
+    const box = e.target.closest('input[type="checkbox"]');
+    if (!box) return;
+    if (box.checked) state.tagFilter.add(box.value); else state.tagFilter.delete(box.value);
+    updateTagFilterLabel();
+    renderFromState();
+  });
+  $('#tagFilterClear').addEventListener('click', ()=>{
+    state.tagFilter.clear();
+    renderTagFilter();
+    renderFromState();
+  });
+
+  let scrollTimer = null;
+  addEventListener('scroll', ()=>{
+    clearTimeout(scrollTimer);
+    scrollTimer = setTimeout(saveListScroll, 150);
+  }, { passive: true });
+
+  $('#searchFix').addEventListener('click', (e)=>{
+    if (!e.target.closest('#searchLiteral')) return;
+    state.literalQuery = currentQuery();
+    renderFromState();
+  });
+
   // Favorite toggles in list
   $('#results').addEventListener('click', (e)=>{
+    if (e.target.closest('a')){ saveListScroll(); state.trail = listTrail(); return; }
+    const more = e.target.closest('.more-btn');
+    if (more){
+      // "Show all N in <book>": switch to that book, keeping the query
+      const sel = $('#datasetSelect');
+      sel.value = more.dataset.book;
+      sel.dispatchEvent(new Event('change'));
+      return;
+    }
     const btn = e.target.closest('.fav-btn');
     if (!btn) return;
     const id = btn.getAttribute('data-id');
     toggleFav(id);
     renderFromState();
 
-    const parts = router.parse();
-    if (parts[0]==='hymn' && parts[2]){
-      const curId = decodeURIComponent(parts[2]);
-      const h = state.rows.find(r=> r.id===curId);
-      if (h) renderDetail(h);
-    }
+    const h = currentHymn();
+    if (h) renderDetail(h);
   });
 
   $('#backBtn').addEventListener('click', ()=> history.back());
 
+  // Previous/next hymn: replace the entry, so Back returns to the list
+  $('#hymnNav').addEventListener('click', (e)=>{
+    const link = e.target.closest('a[rel]');
+    if (!link) return;
+    e.preventDefault();
+    stepHymn(link.rel === 'prev' ? -1 : 1);
+  });
+  let touch = null;
+  $('#hymnArticle').addEventListener('touchstart', (e)=>{
+    touch = e.touches.length === 1 && !e.target.closest('input, select, textarea, .tune-panel')
+      ? { x: e.touches[0].clientX, y: e.touches[0].clientY } : null;
+  }, { passive: true });
+  $('#hymnArticle').addEventListener('touchend', (e)=>{
+    if (!touch) return;
+    const dx = e.changedTouches[0].clientX - touch.x;
+    const dy = e.changedTouches[0].clientY - touch.y;
+    touch = null;
+    if (Math.abs(dx) > 60 && Math.abs(dx) > 2 * Math.abs(dy)) stepHymn(dx < 0 ? 1 : -1);
+  });
+  $('#pageBackBtn').addEventListener('click', ()=> history.back());
+  $('#appMenu').addEventListener('click', (e)=>{
+    if (e.target.closest('a')) $('#appMenu').open = false;
+  });
+
   $('#favBtnDetail').addEventListener('click', ()=>{
-    const parts = router.parse();
-    if (!(parts[0]==='hymn' && parts[2])) return;
-    const id = decodeURIComponent(parts[2]);
-    toggleFav(id);
-    const h = state.rows.find(r=> r.id===id);
-    if (h) renderDetail(h);
+    const h = currentHymn();
+    if (!h) return;
+    toggleFav(h.id);
+    renderDetail(h);
     renderFromState();
   });
 
+  $('#setAddSelect').addEventListener('change', (e)=>{
+    const sel = e.target;
+    const h = currentHymn();
+    let setId = sel.value;
+    sel.value = '';
+    if (!h || !setId) return;
+    if (setId === 'new'){
+      const name = prompt('Name of the new setlist:', '');
+      if (name === null) return;
+      setId = createSetlist(name).id;
+    }
+    const set = addToSetlist(setId, state.datasets[state.currentDatasetIndex].path, h.id);
+    renderSetPicker();
+    if (set) $('#setAddStatus').innerHTML = html`Added to <a href="#/set/${encodeURIComponent(set.id)}">${escapeHTML(set.name)}</a>`;
+  });
+
+  $('#presentBtn').addEventListener('click', ()=>{
+    const h = currentHymn();
+    if (h) location.hash = `#/present/${state.datasets[state.currentDatasetIndex].slug}/${encodeURIComponent(h.id)}`;
+  });
+
   $('#copyBtn').addEventListener('click', async ()=>{
-    const parts = router.parse();
-    if (!(parts[0]==='hymn' && parts[2])) return;
-    const id = decodeURIComponent(parts[2]);
-    const h = state.rows.find(r=> r.id===id);
+    const h = currentHymn();
     if (!h) return;
 
     const lines = [];
     lines.push(`${h.number}. ${h.title}`);
 
-    const topPlain = decodeEntities(stripTags(h._raw?.topTextHtml || '')).trim();
-    const bottomPlain = decodeEntities(stripTags(h._raw?.bottomTextHtml || '')).trim();
-    const meterPlain = (h._raw?.meterText || '').trim();
-
-    if (topPlain) lines.push(topPlain);
-    if (bottomPlain) lines.push(bottomPlain);
-    if (meterPlain) lines.push(meterPlain);
+    // Same as the screen: the reader settings may hide the meta block, number verses, repeat choruses
+    const reader = readerSettings();
+    const fields = metaFields(h);
+    if (reader.hideMeta !== '1'){
+      if (fields.length){
+        for (const [k, v] of fields) lines.push(`${k}: ${v}`);
+      } else {
+        const topPlain = decodeEntities(stripTags(h._raw?.topTextHtml || '')).trim();
+        const bottomPlain = decodeEntities(stripTags(h._raw?.bottomTextHtml || '')).trim();
+        if (topPlain) lines.push(topPlain);
+        if (bottomPlain) lines.push(bottomPlain);
+      }
+    }
 
     lines.push('');
-    lines.push(h.lyrics || '');
+    lines.push(h._raw?.lyricsHtml ? lyricsText($('#hymnLyrics'), reader) : h.lyrics || '');
 
     const text = lines.join('\n');
     try{ await navigator.clipboard.writeText(text); }catch{ /* ignore */ }
   });
 
   $('#printBtn').addEventListener('click', ()=> window.print());
+
+  $('#exportSelect').innerHTML = '<option value="">Export…</option>' +
+    Object.entries(FORMATS).map(([k, f])=> html`<option value="${k}">${escapeHTML(f.label)}</option>`).join('');
+  $('#exportSelect').addEventListener('change', (e)=>{
+    const fmt = e.target.value;
+    e.target.value = '';
+    const h = currentHymn();
+    if (!h || !fmt) return;
+    const ds = state.datasets[state.currentDatasetIndex];
+    exportHymns([h], fmt, { name: ds.name || state.datasetMeta.title || ds.path, slug: ds.slug, copyright: bookCopyright(state.datasetMeta) });
+  });
+
+  $('#readerBtn').addEventListener('click', ()=>{
+    const open = $('#readerPanel').classList.toggle('hidden') === false;
+    $('#readerBtn').setAttribute('aria-expanded', String(open));
+  });
+  setupReaderPanel($('#readerPanel'), ()=>{
+    const h = currentHymn();
+    if (h) renderLyrics(h);
+  });
+
+  setupTunes();
+
+  setupKeys({
+    view: currentView,
+    focusSearch: ()=>{
+      if (currentView() !== 'list') location.hash = listHash();
+      $('#q').focus();
+      $('#q').select();
+    },
+    step: stepHymn,
+    findNumber,
+  });
 }
 
 // Keep subbar pinned correctly even if header wraps on mobile
@@ -644,26 +1196,48 @@ function watchHeader(){
 }
 
 const router = new Router();
-router.onRoute = (parts)=>{
+router.onRoute = (parts, query)=>{
+  const ds = state.datasets.findIndex(d=> d.slug === parts[0]);
   if (parts[0]==='hymn' && parts.length>=3){
-    const ds = parseInt(parts[1],10);
-    const id = decodeURIComponent(parts[2]);
-    if (!Number.isNaN(ds) && ds !== state.currentDatasetIndex){
-      state.currentDatasetIndex = Math.max(0, Math.min(ds, state.datasets.length-1));
-      $('#datasetSelect').value = String(state.currentDatasetIndex);
-      hydrate().then(()=> showDetail(id));
+    // Old #/hymn/<index>/<id> links
+    const old = datasetIndex(parts[1]);
+    location.replace(old >= 0 ? `#/${state.datasets[old].slug}/${parts[2]}` : '#');
+  } else if (ds >= 0){
+    // #/<slug>/<id> opens a hymn, #/<slug>?q=… the book's list
+    if (!parts[1] && state.allBooks){
+      setAllBooks(false);
+      $('#datasetSelect').value = String(ds);
+    }
+    if (ds !== state.currentDatasetIndex){
+      state.currentDatasetIndex = ds;
+      if (!state.allBooks) $('#datasetSelect').value = String(ds);
+      hydrate();               // hydrate() re-runs the route once the book is in
       return;
     }
-    showDetail(id);
+    if (parts[1]){ showDetail(decodeURIComponent(parts[1])); showBlock(query.get('at')); }
+    else { applyListQuery(query); showList(); }
+  } else if (parts[0]==='all' && state.datasets.length > 1){
+    if (!state.allBooks){
+      $('#datasetSelect').value = 'all';
+      setAllBooks(true);
+    }
+    applyListQuery(query);
+    showList();
+  } else if (parts[0]==='set' && parts[1] && parts[2]){
+    showSetItem(decodeURIComponent(parts[1]), Math.max(0, (parseInt(parts[2],10) || 1) - 1));
+  } else if (PAGES[parts[0]]){
+    showPage(parts[0], parts);
   } else {
     showList();
   }
 };
 
 (async function init(){
+  applyReaderSettings();
   await loadConfig();
   setupUI();
   watchHeader();
+  registerServiceWorker(onBookUpdated);
   await hydrate();
   router.start();
 })();
\ No newline at end of file
@@ -0,0 +1,355 @@
+// assets/js/backup.js — export/import of all user data as one JSON file (#/backup)
+//
+// File format:
+//   { app: 'hymnsfromgravelhill', version: 1, exported: ISO date,
+//     favorites: { '<dataset path>': ['12', '40', …] },
+//     setlists: [ …as stored by setlists.js ],
+//     recent: [ …history as stored by recent.js ],
+//     notes: { '<dataset path>': { '<hymn number>': { fp, note, lines, updated } } },
+//     settings: { '<localStorage key>': value } }
+// Each kind of data is a SECTIONS entry; add one there when a feature starts storing
+// something new, and it is exported, validated and imported with the rest.
+import { html, escapeHTML, download } from './utils.js';
+import { loadSetlists, saveSetlists } from './setlists.js';
+import { READER_KEYS } from './reader.js';
+import { loadRecent, saveRecent } from './recent.js';
+import { loadNotes, saveNotes } from './notes.js';
+
+const APP = 'hymnsfromgravelhill';
+const VERSION = 1;
+
+// Plain localStorage preferences that travel with a backup
+const SETTINGS_KEYS = ['present_repeatChorus', ...READER_KEYS];
+
+const favKey = (path)=> 'fav_' + path;
+
+function readFavs(path){
+  try{
+    const list = JSON.parse(localStorage.getItem(favKey(path)) || '[]');
+    return Array.isArray(list) ? list.map(String) : [];
+  }catch{ return []; }
+}
+
+/**
+ * Every section has:
+ *   label                          what it holds, for the screen ("favorites")
+ *   export()                       -> JSON-able data
+ *   check(data, ctx, report)       -> cleaned data; problems go to report(text)
+ *   import(clean, mode)            mode 'merge' | 'replace'
+ *   count(data)                    -> one-line summary for the screen
+ * `ctx.book(path)` resolves to { name, ids } for a known book, or null for an unknown one;
+ * `ids` is null when the book couldn't be loaded, and then known() takes every hymn on trust.
+ */
+const known = (book, id)=> !book.ids || book.ids.has(id);
+
+const SECTIONS = {
+  favorites: {
+    label: 'favorites',
+    export(datasets){
+      const out = {};
+      for (const d of datasets){
+        const ids = readFavs(d.path);
+        if (ids.length) out[d.path] = ids;
+      }
+      return out;
+    },
+    async check(data, ctx, report){
+      const out = {};
+      if (!data || typeof data !== 'object' || Array.isArray(data)){ report('Favorites: not in the expected format, skipped.'); return out; }
+      for (const [path, ids] of Object.entries(data)){
+        if (!Array.isArray(ids)) continue;
+        const book = await ctx.book(path);
+        if (!book){ report(`Favorites: unknown book “${path}” (${ids.length} hymn${ids.length === 1 ? '' : 's'}: ${ids.join(', ')}).`); continue; }
+        const good = [], bad = [];
+        for (const id of ids.map(String)) (known(book, id) ? good : bad).push(id);
+        if (bad.length) report(`Favorites: ${book.name} has no hymn ${bad.map(x=> `#${x}`).join(', ')}.`);
+        if (good.length) out[path] = good;
+      }
+      return out;
+    },
+    import(clean, mode, datasets){
+      const paths = mode === 'replace' ? datasets.map(d=> d.path) : Object.keys(clean);
+      for (const path of new Set([...paths, ...Object.keys(clean)])){
+        const ids = mode === 'merge' ? new Set([...readFavs(path), ...(clean[path] || [])]) : new Set(clean[path] || []);
+        if (ids.size) localStorage.setItem(favKey(path), JSON.stringify([...ids]));
+        else localStorage.removeItem(favKey(path));
+      }
+    },
+    count(data){
+      const n = Object.values(data || {}).reduce((a, ids)=> a + ids.length, 0);
+      return `${n} favorite${n === 1 ? '' : 's'} in ${Object.keys(data || {}).length} book${Object.keys(data || {}).length === 1 ? '' : 's'}`;
+    },
+  },
+
+  setlists: {
+    label: 'setlists',
+    export(){ return loadSetlists(); },
+    async check(data, ctx, report){
+      if (!Array.isArray(data)){ report('Setlists: not in the expected format, skipped.'); return []; }
+      const out = [];
+      let invalid = 0;
+      for (const s of data){
+        if (!s || !['string', 'number'].includes(typeof s.id) || !Array.isArray(s.items)){ invalid++; continue; }
+        const items = [];
+        for (const it of s.items){
+          const id = String(it?.id ?? '');
+          const book = await ctx.book(it?.path);
+          if (!book) report(`Setlist “${s.name}”: unknown book “${it?.path}” (hymn #${id}).`);
+          else if (!known(book, id)) report(`Setlist “${s.name}”: ${book.name} has no hymn #${id}.`);
+          else items.push({ path: it.path, id, note: String(it.note || '') });
+        }
+        out.push({ id: String(s.id), name: String(s.name || 'Untitled setlist'), date: String(s.date || ''), items, updated: Number(s.updated) || Date.now() });
+      }
+      if (invalid) report(`Setlists: ${invalid} entr${invalid === 1 ? 'y is not a setlist' : 'ies are not setlists'} (no id or no list of hymns), skipped.`);
+      return out;
+    },
+    import(clean, mode){
+      if (mode === 'replace'){ saveSetlists(clean); return; }
+      // Same setlist on both sides: keep whichever was edited last
+      const list = loadSetlists();
+      for (const s of clean){
+        const i = list.findIndex(x=> x.id === s.id);
+        if (i < 0) list.push(s);
+        else if (s.updated > (list[i].updated || 0)) list[i] = s;
+      }
+      saveSetlists(list);
+    },
+    count(data){ return `${(data || []).length} setlist${(data || []).length === 1 ? '' : 's'}`; },
+  },
+
+  recent: {
+    label: 'history',
+    export(){ return loadRecent(); },
+    async check(data, ctx, report){
+      if (!Array.isArray(data)){ report('History: not in the expected format, skipped.'); return []; }
+      const out = [];
+      const skipped = new Map();     // problem -> hymn numbers it applies to
+      const skip = (what, id)=>{
+        if (!skipped.has(what)) skipped.set(what, new Set());
+        skipped.get(what).add(`#${id}`);
+      };
+      for (const e of data){
+        const at = Number(e?.at), id = String(e?.id ?? '');
+        if (!at || !['view', 'present'].includes(e?.how)) continue;
+        const book = await ctx.book(e.path);
+        if (!book) skip(`unknown book “${e.path}”`, id);
+        else if (!known(book, id)) skip(`${book.name} has no hymn`, id);
+        else out.push({ path: e.path, id, at, how: e.how });
+      }
+      for (const [what, ids] of skipped) report(`History: ${what} ${[...ids].join(', ')}.`);
+      return out;
+    },
+    import(clean, mode){
+      // The same visit on both sides counts once
+      const list = mode === 'merge' ? [...loadRecent(), ...clean] : clean;
+      const seen = new Set();
+      saveRecent(list.filter(e=>{
+        const k = `${e.path}\n${e.id}\n${e.at}\n${e.how}`;
+        return !seen.has(k) && seen.add(k);
+      }).sort((a, b)=> a.at - b.at));
+    },
+    count(data){ const n = (data || []).length; return `${n} history entr${n === 1 ? 'y' : 'ies'}`; },
+  },
+
+  notes: {
+    label: 'notes',
+    export(){ return loadNotes(); },
+    async check(data, ctx, report){
+      const out = {};
+      if (!data || typeof data !== 'object' || Array.isArray(data)){ report('Notes: not in the expected format, skipped.'); return out; }
+      for (const [path, hymns] of Object.entries(data)){
+        if (!hymns || typeof hymns !== 'object') continue;
+        const book = await ctx.book(path);
+        const numbers = Object.keys(hymns);
+        if (!book){ report(`Notes: unknown book “${path}” (hymn${numbers.length === 1 ? '' : 's'} ${numbers.map(x=> `#${x}`).join(', ')}).`); continue; }
+        const bad = [];
+        for (const [number, e] of Object.entries(hymns)){
+          if (!known(book, number)){ bad.push(`#${number}`); continue; }
+          const lines = Array.isArray(e?.lines) ? e.lines.map(String) : [];
+          if (!e?.note && !lines.length) continue;
+          (out[path] ||= {})[number] = { fp: String(e.fp || ''), note: String(e.note || ''), lines, updated: Number(e.updated) || 0 };
+        }
+        if (bad.length) report(`Notes: ${book.name} has no hymn ${bad.join(', ')}.`);
+      }
+      return out;
+    },
+    import(clean, mode){
+      // Same hymn on both sides: keep whichever was edited last
+      const all = mode === 'merge' ? loadNotes() : {};
+      for (const [path, hymns] of Object.entries(clean)){
+        const book = all[path] ||= {};
+        for (const [number, e] of Object.entries(hymns)){
+          if (!book[number] || e.updated > (book[number].updated || 0)) book[number] = e;
+        }
+      }
+      saveNotes(all);
+    },
+    count(data){
+      const n = Object.values(data || {}).reduce((a, hymns)=> a + Object.keys(hymns).length, 0);
+      return `${n} hymn${n === 1 ? '' : 's'} with notes or highlights`;
+    },
+  },
+
+  settings: {
+    label: 'settings',
+    export(){
+      const out = {};
+      for (const k of SETTINGS_KEYS){
+        const v = localStorage.getItem(k);
+        if (v !== null) out[k] = v;
+      }
+      return out;
+    },
+    async check(data, ctx, report){
+      const out = {};
+      for (const [k, v] of Object.entries(data || {})){
+        if (SETTINGS_KEYS.includes(k) && typeof v === 'string') out[k] = v;
+        else report(`Settings: unknown setting “${k}”, skipped.`);
+      }
+      return out;
+    },
+    import(clean, mode){
+      if (mode === 'replace') for (const k of SETTINGS_KEYS) localStorage.removeItem(k);
+      for (const [k, v] of Object.entries(clean)) localStorage.setItem(k, v);
+    },
+    count(data){ const n = Object.keys(data || {}).length; return `${n} setting${n === 1 ? '' : 's'}`; },
+  },
+};
+
+/** The whole backup object. */
+export function exportUserData(datasets){
+  const out = { app: APP, version: VERSION, exported: new Date().toISOString() };
+  for (const [name, s] of Object.entries(SECTIONS)) out[name] = s.export(datasets);
+  return out;
+}
+
+/**
+ * Validate a parsed backup against the books that exist.
+ * Returns { clean: { section: data }, problems: [text], unchecked: [book name] }; throws when it
+ * isn't a backup at all. Entries for the `unchecked` books (which failed to load) are kept as they are.
+ * `ctx`: { datasets, loadBook(i) -> Promise<{ rows }> }.
+ */
+export async function checkUserData(data, ctx){
+  if (!data || typeof data !== 'object' || data.app !== APP) throw new Error('This file is not a Hymns from Gravel Hill backup.');
+  if (data.version > VERSION) throw new Error('This backup was made by a newer version of the app; reload the page and try again.');
+
+  const books = new Map();
+  const unchecked = [];          // books that exist but couldn't be loaded (offline…)
+  const check = {
+    book(path){
+      if (!books.has(path)){
+        const i = ctx.datasets.findIndex(d=> d.path === path);
+        const name = ctx.datasets[i]?.name || path;
+        books.set(path, i < 0 ? Promise.resolve(null) : ctx.loadBook(i).then(
+          b=> ({ name, ids: new Set(b.rows.map(r=> r.id)) }),
+          ()=>{ unchecked.push(name); return { name, ids: null }; }));
+      }
+      return books.get(path);
+    },
+  };
+
+  const problems = [];
+  const clean = {};
+  for (const [name, s] of Object.entries(SECTIONS)){
+    if (data[name] === undefined) continue;
+    clean[name] = await s.check(data[name], check, (t)=> problems.push(t));
+  }
+  for (const name of Object.keys(data)){
+    if (!['app', 'version', 'exported'].includes(name) && !SECTIONS[name]) problems.push(`Unknown section “${name}”, skipped.`);
+  }
+  return { clean, problems, unchecked };
+}
+
+/** Write validated data; `mode` is 'merge' or 'replace'. */
+export function importUserData(clean, mode, datasets){
+  for (const [name, data] of Object.entries(clean)) SECTIONS[name].import(data, mode, datasets);
+}
+
+/**
+ * "Backup & restore" screen (#/backup).
+ * `ctx`: { datasets, loadBook, onImported() } — onImported re-reads favorites etc.
+ */
+export function showBackupPage(el, ctx){
+  let pending = null;     // { fileName, clean, problems, unchecked } waiting for Merge / Replace
+  let message = '';
+  let leftOut = [];       // problems of the backup just restored, listed under the message
+
+  const summary = (data)=> Object.entries(SECTIONS).map(([name, s])=> s.count(data[name])).join(', ');
+  const list = (names)=> names.map(n=> SECTIONS[n].label).join(', ').replace(/, ([^,]*)$/, ' and $1');
+
+  const render = ()=>{
+    el.innerHTML = html`
+      <h1>Backup &amp; restore</h1>
+      <p>Favorites, setlists, history, notes and settings are kept in this browser only. Save a backup file to move them to another device or keep them safe.</p>
+      <p class="muted">This browser has ${escapeHTML(summary(exportUserData(ctx.datasets)))}.</p>
+      <div class="page-actions">
+        <button type="button" data-act="export">Save backup file</button>
+        <label class="file-button"><input type="file" id="backupFile" accept="application/json,.json"> Restore from file…</label>
+      </div>
+      ${pending ? html`
+      <section class="backup-review">
+        <h2>${escapeHTML(pending.fileName)}</h2>
+        <p>Contains ${escapeHTML(summary(pending.clean))}.</p>
+        ${pending.problems.length ? html`
+        <p>Some entries don't match the books here or are not valid, and will not be imported:</p>
+        <ul class="backup-problems">${pending.problems.map(p=> html`<li>${escapeHTML(p)}</li>`).join('')}</ul>` : pending.unchecked.length ? '' : '<p class="muted">Every entry matches a book and hymn here.</p>'}
+        ${pending.unchecked.length ? html`
+        <p>Couldn't load ${escapeHTML(pending.unchecked.join(', '))} to check ${pending.unchecked.length === 1 ? 'it' : 'them'} (offline?). Entries for ${pending.unchecked.length === 1 ? 'that book' : 'those books'} are kept as they are.</p>` : ''}
+        <div class="page-actions">
+          <button type="button" data-act="merge">Merge with this browser's data</button>
+          <button type="button" data-act="replace">Replace this browser's data</button>
+          <button type="button" data-act="cancel">Cancel</button>
+        </div>
+      </section>` : ''}
+      <p class="muted" role="status">${escapeHTML(message)}</p>
+      ${leftOut.length ? html`<ul class="backup-problems">${leftOut.map(p=> html`<li>${escapeHTML(p)}</li>`).join('')}</ul>` : ''}`;
+  };
+
+  el.onclick = (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const act = btn.dataset.act;
+    message = '';
+    leftOut = [];
+    if (act === 'export'){
+      const d = new Date();
+      const stamp = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+      download(`hymns-backup-${stamp}.json`, JSON.stringify(exportUserData(ctx.datasets), null, 2), 'application/json');
+      message = 'Backup saved.';
+    } else if ((act === 'merge' || act === 'replace') && pending){
+      const names = Object.keys(pending.clean);
+      const kept = Object.keys(SECTIONS).filter(n=> !names.includes(n));
+      if (act === 'replace' && !confirm(`Replace all ${list(names)} in this browser with the backup?${kept.length ? ` (It has no ${list(kept)}; those stay as they are.)` : ''}`)) return;
+      importUserData(pending.clean, act, ctx.datasets);
+      leftOut = pending.problems;
+      message = `${act === 'merge' ? 'Merged' : 'Restored'} ${summary(pending.clean)} from ${pending.fileName}.`
+        + (leftOut.length ? ' Left out:' : '');
+      pending = null;
+      ctx.onImported?.();
+    } else if (act === 'cancel'){
+      pending = null;
+    }
+    render();
+  };
+
+  el.onchange = async (e)=>{
+    if (e.target.id !== 'backupFile') return;
+    const file = e.target.files?.[0];
+    if (!file) return;
+    pending = null;
+    leftOut = [];
+    message = 'Checking the backup against the books…';
+    render();
+    try{
+      const data = JSON.parse(await file.text());
+      pending = { fileName: file.name, ...await checkUserData(data, ctx) };
+      message = '';
+    }catch(err){
+      message = err instanceof SyntaxError ? `${file.name} is not a valid JSON file.` : err.message;
+    }
+    render();
+  };
+  el.onsubmit = null;
+
+  render();
+}
@@ -0,0 +1,84 @@
+// assets/js/bookstore.js — turn a hymnal's text into { meta, rows, index }
+//
+// Parsing and indexing run in parse-worker.js when module workers are available (the main
+// thread is the fallback, e.g. on file://). Results are kept in IndexedDB keyed by the
+// dataset path and a hash of the text, so an unchanged book is never parsed twice.
+import { hashText } from './utils.js';
+import { parseHymnal } from './hymnal.js';
+import { buildIndex, reviveIndex } from './search.js';
+import { dbGet, dbPut } from './db.js';
+
+const FORMAT = 5;      // bump when the shape or content of parsed rows or the index changes (or spelling.js does)
+
+/** Parse + index on the current thread. */
+export function parseBook(text){
+  const { meta, rows } = parseHymnal(text);
+  const index = buildIndex(rows, { tagLabel: (c)=> meta.tags.find(t=> t.code === c)?.label });
+  return { meta, rows, index };
+}
+
+let worker = null;
+let workerBroken = false;
+let nextId = 0;
+const pending = new Map();     // id -> { resolve, reject }
+
+function getWorker(){
+  if (worker || workerBroken) return worker;
+  try{
+    worker = new Worker(new URL('./parse-worker.js', import.meta.url), { type: 'module' });
+  }catch{
+    workerBroken = true;
+    return null;
+  }
+  worker.onmessage = (e)=>{
+    const { id, book, error } = e.data || {};
+    const p = pending.get(id);
+    if (!p) return;
+    pending.delete(id);
+    if (error) p.reject(new Error(error)); else p.resolve(book);
+  };
+  worker.onerror = (e)=>{
+    // Module workers unsupported or the script failed to load: finish on the main thread
+    e.preventDefault?.();
+    workerBroken = true;
+    worker.terminate();
+    worker = null;
+    for (const p of pending.values()) p.reject(new Error('worker unavailable'));
+    pending.clear();
+  };
+  return worker;
+}
+
+/** Parse + index in the worker (on this thread when there is none). */
+export function parseInWorker(text){
+  const w = getWorker();
+  if (!w) return Promise.resolve(parseBook(text));
+  const id = ++nextId;
+  return new Promise((resolve, reject)=>{
+    pending.set(id, { resolve, reject });
+    w.postMessage({ id, text });
+  }).then(
+    book=> ({ ...book, index: reviveIndex(book.index) }),
+    ()=> parseBook(text)
+  );
+}
+
+/** Parsed book for `path`, from IndexedDB when its text is unchanged. */
+export async function loadParsedBook(path, text){
+  const hash = hashText(text);
+  try{
+    const hit = await dbGet('books', path);
+    if (hit && hit.hash === hash && hit.format === FORMAT){
+      return { ...hit.book, index: reviveIndex(hit.book.index) };
+    }
+  }catch{ /* no IndexedDB (private mode, file://): just parse */ }
+
+  const book = await parseInWorker(text);
+  storeParsedBook(path, text, book).catch(err=> console.warn(`Couldn't cache ${path}`, err));
+  return book;
+}
+
+/** Keep `book`, parsed from `text`, for loadParsedBook(path, text). */
+export function storeParsedBook(path, text, book){
+  return dbPut('books', { path, hash: hashText(text), format: FORMAT, saved: Date.now(), book });
+}
@@ -0,0 +1,195 @@
+// assets/js/concordance.js — find the same hymn in other books ("Also in")
+//
+// Two kinds of evidence:
+//  1) explicit cross-references parsed from the top text (row.crossRefs, e.g. "New BHB #12"),
+//     resolved to a dataset through the `codes` listed for it in config.json;
+//  2) a fuzzy match on the normalized first line (and title) that tolerates small
+//     wording changes ("thee"/"you", "Saviour"/"Savior", dropped "O").
+import { normalize } from './utils.js';
+import { spellWords } from './spelling.js';
+
+const MATCH_FIRST = 0.82;        // first-line similarity that counts on its own
+const MATCH_WITH_TITLE = 0.62;   // ...or this much when the titles agree too
+const TITLE_AGREE = 0.9;
+
+// Old and modern pronouns are the same hymn here, though search keeps them apart;
+// spelling variants are left to spellWords()
+const ARCHAIC = { thee: 'you', thou: 'you', thy: 'your', thine: 'your', ye: 'you', oh: 'o' };
+
+const keyCache = new WeakMap();
+
+function keyText(s=''){
+  return spellWords(normalize(s))
+    .replace(/[’']/g, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(w=> ARCHAIC[w] || w)
+    .filter(w=> w && w !== 'o')
+    .join(' ');
+}
+
+function firstLine(lyrics=''){
+  for (const line of String(lyrics).split('\n')){
+    const t = line.trim();
+    if (t) return t;
+  }
+  return '';
+}
+
+/** Normalized { first, title } keys for a row (cached per row object). */
+export function hymnKeys(row){
+  let k = keyCache.get(row);
+  if (!k){
+    k = { first: keyText(firstLine(row.lyrics)), title: keyText(row.title) };
+    keyCache.set(row, k);
+  }
+  return k;
+}
+
+function bigrams(s){
+  const m = new Map();
+  const t = s.replace(/ /g, '');
+  for (let i = 0; i < t.length - 1; i++){
+    const g = t.slice(i, i + 2);
+    m.set(g, (m.get(g) || 0) + 1);
+  }
+  return m;
+}
+
+/** Dice coefficient over character bigrams, 0..1. */
+export function similarity(a='', b=''){
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  const A = bigrams(a), B = bigrams(b);
+  let total = 0, shared = 0;
+  for (const n of A.values()) total += n;
+  for (const n of B.values()) total += n;
+  for (const [g, n] of A) shared += Math.min(n, B.get(g) || 0);
+  return total ? (2 * shared) / total : 0;
+}
+
+/** Similarity of two rows, or 0 when they don't look like the same hymn. */
+export function matchScore(a, b){
+  const ka = hymnKeys(a), kb = hymnKeys(b);
+  if (ka.first.length < 8 || kb.first.length < 8) return 0;
+  const first = similarity(ka.first, kb.first);
+  if (first >= MATCH_FIRST) return first;
+  if (first >= MATCH_WITH_TITLE && ka.title.length >= 8 && similarity(ka.title, kb.title) >= TITLE_AGREE) return first;
+  return 0;
+}
+
+/** Map each cross-reference code from config.json ("codes": ["BHB"]) to its dataset index. */
+export function codeIndex(datasets=[]){
+  const m = new Map();
+  datasets.forEach((d, i)=>{ for (const c of d.codes || []) if (!m.has(c)) m.set(c, i); });
+  return m;
+}
+
+function byNumber(book){
+  if (!book._byNumber) book._byNumber = new Map(book.rows.map(r=> [String(r.number), r]));
+  return book._byNumber;
+}
+
+function codesOf(datasets, ds){ return datasets[ds]?.codes || []; }
+
+/**
+ * Other books that contain `row` (from dataset `ds`).
+ * `books` is a Map of dataset index -> { rows } for whatever has been loaded.
+ * Returns [{ ds, row, via: 'ref' | 'match', score }] in dataset order, at most one per book.
+ */
+export function findAlsoIn(row, ds, books, datasets){
+  const codes = codeIndex(datasets);
+  const mine = codesOf(datasets, ds);
+  const out = [];
+
+  for (const [other, book] of books){
+    if (other === ds) continue;
+    let hit = null;
+
+    // Our references to them…
+    for (const ref of row.crossRefs || []){
+      if (codes.get(ref.code) !== other) continue;
+      const r = byNumber(book).get(ref.number);
+      if (r){ hit = { ds: other, row: r, via: 'ref', score: 1 }; break; }
+    }
+    // …or theirs to us
+    if (!hit && mine.length){
+      const r = book.rows.find(x=> (x.crossRefs || []).some(ref=> mine.includes(ref.code) && ref.number === String(row.number)));
+      if (r) hit = { ds: other, row: r, via: 'ref', score: 1 };
+    }
+    if (!hit){
+      let best = null;
+      for (const r of book.rows){
+        const s = matchScore(row, r);
+        if (s && (!best || s > best.score)) best = { ds: other, row: r, via: 'match', score: s };
+      }
+      hit = best;
+    }
+    if (hit) out.push(hit);
+  }
+  return out.sort((a, b)=> a.ds - b.ds);
+}
+
+/**
+ * Concordance over every loaded book: groups of { ds, id } that are the same hymn.
+ * Cross-references are followed first, then first lines are matched using a
+ * rare-word index so each hymn is only compared with plausible candidates.
+ */
+export function buildConcordance(books, datasets){
+  const codes = codeIndex(datasets);
+  const nodes = [];
+  const idOf = new Map();          // "ds:id" -> node index
+  for (const [ds, book] of books){
+    for (const r of book.rows){
+      idOf.set(`${ds}:${r.id}`, nodes.length);
+      nodes.push({ ds, row: r });
+    }
+  }
+
+  const parent = nodes.map((_, i)=> i);
+  const find = (i)=>{ while (parent[i] !== i) i = parent[i] = parent[parent[i]]; return i; };
+  const union = (a, b)=>{ const x = find(a), y = find(b); if (x !== y) parent[y] = x; };
+
+  // 1) explicit references
+  nodes.forEach((n, i)=>{
+    for (const ref of n.row.crossRefs || []){
+      const other = codes.get(ref.code);
+      if (other === undefined || other === n.ds || !books.has(other)) continue;
+      const r = byNumber(books.get(other)).get(ref.number);
+      if (r) union(i, idOf.get(`${other}:${r.id}`));
+    }
+  });
+
+  // 2) fuzzy first lines, candidates share one of the line's two rarest words
+  const df = new Map();
+  const words = nodes.map(n=> [...new Set(hymnKeys(n.row).first.split(' ').filter(w=> w.length > 2))]);
+  for (const ws of words) for (const w of ws) df.set(w, (df.get(w) || 0) + 1);
+  const posting = new Map();
+  const rare = words.map(ws=> ws.slice().sort((a, b)=> df.get(a) - df.get(b)).slice(0, 2));
+  rare.forEach((ws, i)=>{ for (const w of ws){ if (!posting.has(w)) posting.set(w, []); posting.get(w).push(i); } });
+
+  // Only mutual best matches are joined, so one loose match can't chain two hymns together
+  const best = nodes.map((n, i)=>{
+    const m = new Map();           // other ds -> { j, score }
+    for (const w of rare[i]){
+      for (const j of posting.get(w) || []){
+        if (nodes[j].ds === n.ds) continue;
+        const s = matchScore(n.row, nodes[j].row);
+        if (s && s > (m.get(nodes[j].ds)?.score || 0)) m.set(nodes[j].ds, { j, score: s });
+      }
+    }
+    return m;
+  });
+  best.forEach((m, i)=>{
+    for (const { j } of m.values()) if (best[j].get(nodes[i].ds)?.j === i) union(i, j);
+  });
+
+  const groups = new Map();
+  nodes.forEach((n, i)=>{
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push({ ds: n.ds, id: n.row.id });
+  });
+  return [...groups.values()].filter(g=> g.length > 1 && new Set(g.map(x=> x.ds)).size > 1);
+}
@@ -0,0 +1,39 @@
+// assets/js/db.js — tiny promise wrapper around the app's IndexedDB database
+const DB_NAME = 'hfg';
+const DB_VERSION = 2;
+
+let dbPromise = null;
+
+function openDb(){
+  dbPromise ||= new Promise((resolve, reject)=>{
+    if (typeof indexedDB === 'undefined'){ reject(new Error('IndexedDB is not available')); return; }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = ()=>{
+      const db = req.result;
+      // books: parsed rows + search index per dataset path (see bookstore.js)
+      if (!db.objectStoreNames.contains('books')) db.createObjectStore('books', { keyPath: 'path' });
+      // local: hymnal files loaded from this device, text and all (see localbooks.js)
+      if (!db.objectStoreNames.contains('local')) db.createObjectStore('local', { keyPath: 'path' });
+    };
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+    req.onblocked = ()=> reject(new Error('IndexedDB upgrade blocked by another tab'));
+  });
+  dbPromise.catch(()=>{ dbPromise = null; });
+  return dbPromise;
+}
+
+function run(store, mode, fn){
+  return openDb().then(db=> new Promise((resolve, reject)=>{
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = ()=> resolve(req?.result);
+    tx.onerror = ()=> reject(tx.error);
+    tx.onabort = ()=> reject(tx.error || new Error('IndexedDB transaction aborted'));
+  }));
+}
+
+export const dbGet = (store, key)=> run(store, 'readonly', s=> s.get(key));
+export const dbPut = (store, value)=> run(store, 'readwrite', s=> s.put(value));
+export const dbDelete = (store, key)=> run(store, 'readwrite', s=> s.delete(key));
+export const dbAll = (store)=> run(store, 'readonly', s=> s.getAll());
@@ -0,0 +1,248 @@
+// assets/js/export.js — hymns as OpenLyrics, ChordPro, plain text or Markdown files
+//
+// Works from the parsed rows: verses and choruses come from the .stanza / .chorus blocks of
+// row._raw.lyricsHtml (BHB's inline .addedChorus is a chorus of its own), so no DOM is
+// needed. One hymn downloads as one file; many as a .zip, or as one file for text and
+// Markdown. The "Export" page (#/export/<slug>) does whole books and favorites.
+import { html, escapeHTML, decodeEntities, download } from './utils.js';
+import { stripTags } from './hymnal.js';
+import { zipFiles } from './zip.js';
+
+const APP_NAME = 'Hymns from Gravel Hill';
+
+const plain = (s)=> decodeEntities(stripTags(String(s || '').replace(/<br\s*\/?>/gi, '\n'))).replace(/[ \t]+/g, ' ').trim();
+const lines = (s)=> plain(s).split('\n').map(l=> l.trim()).filter(Boolean);
+
+/**
+ * A row's lyrics as blocks: [{ kind: 'verse' | 'chorus', n, name: 'v1' | 'c1', lines, added }].
+ * buildLyricsHtml puts each block on a line of its own.
+ */
+export function hymnBlocks(row){
+  const out = [];
+  const count = { verse: 0, chorus: 0 };
+  const push = (kind, body, added = false)=>{
+    const l = lines(body.replace(/^\s*\[optional chorus\]\s*(<br>)?/i, ''));
+    if (!l.length) return;
+    const n = ++count[kind];
+    out.push({ kind, n, name: `${kind[0]}${n}`, lines: l, added });
+  };
+  for (const line of (row._raw?.lyricsHtml || '').split('\n')){
+    const m = line.match(/^<div class="(stanza|chorus)"[^>]*>([\s\S]*)<\/div>$/);
+    if (!m) continue;
+    const [, cls, inner] = m;
+    const added = inner.match(/<div class=["']addedChorus["'][^>]*>([\s\S]*?)<\/div>/i);
+    push(cls === 'chorus' ? 'chorus' : 'verse', added ? inner.replace(added[0], '') : inner);
+    if (added) push('chorus', added[1], true);
+  }
+  if (!out.length && row.lyrics) row.lyrics.split(/\n\s*\n/).forEach(p=> push('verse', p.replace(/\n/g, '<br>')));
+  return out;
+}
+
+/** Sung order, the chorus after every verse the book doesn't follow with one (as presenter.js). */
+export function singingOrder(blocks){
+  const order = [];
+  let chorus = blocks.find(b=> b.added) || null;
+  blocks.forEach((b, i)=>{
+    order.push(b.name);
+    if (b.kind === 'chorus'){ chorus = b; return; }
+    if (chorus && blocks[i + 1]?.kind !== 'chorus') order.push(chorus.name);
+  });
+  return order;
+}
+
+/** The copyright sentence(s) of a book's --additionalInfo, or ''. */
+export function bookCopyright(meta){
+  const text = plain((meta?.additionalInfoHtml || '').replace(/<\/p>/gi, '\n'));
+  return text.split('\n').filter(l=> /©|\(c\)|copyright/i.test(l)).join(' ').trim();
+}
+
+/** What every format needs to know about one hymn. `book`: { name, copyright }. */
+function song(row, book){
+  const blocks = hymnBlocks(row);
+  return {
+    number: row.number || '',
+    title: row.title || '(Untitled)',
+    author: row.author || '',
+    authorYear: row.authorYear || '',
+    tune: row.tune || '',
+    meter: row.meter || '',
+    source: row.source || '',
+    // Books whose top/bottom text couldn't be split into fields
+    info: row.author || row.tune ? '' : [row._raw?.topTextHtml, row._raw?.bottomTextHtml].map(plain).filter(Boolean).join('\n'),
+    book: book.name || '',
+    copyright: book.copyright || '',
+    blocks,
+    order: singingOrder(blocks),
+  };
+}
+
+function metaLines(s){
+  return [
+    s.author && ['Words', s.authorYear ? `${s.author} (${s.authorYear})` : s.author],
+    s.tune && ['Tune', s.tune],
+    s.meter && ['Meter', s.meter],
+    s.source && ['Source', s.source],
+    s.info && ['Note', s.info],
+    s.book && ['Book', s.number ? `${s.book} #${s.number}` : s.book],
+    s.copyright && ['Copyright', s.copyright],
+  ].filter(Boolean);
+}
+
+const xml = (s)=> String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+/** OpenLyrics 0.9 (OpenLP, FreeWorship, …). */
+function toOpenLyrics(s){
+  const props = [
+    `    <titles><title>${xml(s.title)}</title></titles>`,
+    s.author && `    <authors><author type="words">${xml(s.author)}</author></authors>`,
+    s.copyright && `    <copyright>${xml(s.copyright)}</copyright>`,
+    s.book && `    <songbooks><songbook name="${xml(s.book)}"${s.number ? ` entry="${xml(s.number)}"` : ''}/></songbooks>`,
+    `    <verseOrder>${s.order.join(' ')}</verseOrder>`,
+    (s.tune || s.meter || s.info) && `    <comments>${[s.tune && `Tune: ${s.tune}`, s.meter && `Meter: ${s.meter}`, s.info].filter(Boolean).map(c=> `<comment>${xml(c)}</comment>`).join('')}</comments>`,
+  ].filter(Boolean);
+  const verses = s.blocks.map(b=> `    <verse name="${b.name}">\n      <lines>${b.lines.map(xml).join('<br/>')}</lines>\n    </verse>`);
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<song xmlns="http://openlyrics.info/namespace/2009/song" version="0.9" createdIn="${APP_NAME}" modifiedIn="${APP_NAME}" modifiedDate="${new Date().toISOString().replace(/\.\d+Z$/, '')}">`,
+    '  <properties>', ...props, '  </properties>',
+    '  <lyrics>', ...verses, '  </lyrics>',
+    '</song>', '',
+  ].join('\n');
+}
+
+/** ChordPro: the words only, with {chorus} where a chorus is sung again. */
+function toChordPro(s){
+  const out = [`{title: ${s.title}}`];
+  if (s.author) out.push(`{lyricist: ${s.author}}`);
+  if (s.tune) out.push(`{meta: tune ${s.tune}}`);
+  if (s.meter) out.push(`{meta: meter ${s.meter}}`);
+  if (s.book) out.push(`{album: ${s.book}}`);
+  if (s.copyright) out.push(`{copyright: ${s.copyright}}`);
+  if (s.info) for (const l of s.info.split('\n')) out.push(`{comment: ${l}}`);
+  const seen = new Set();
+  for (const name of s.order){
+    const b = s.blocks.find(x=> x.name === name);
+    out.push('');
+    if (b.kind === 'chorus' && seen.has(name)){ out.push('{chorus}'); continue; }
+    seen.add(name);
+    const tag = b.kind === 'chorus' ? 'chorus' : 'verse';
+    out.push(`{start_of_${tag}: ${b.kind === 'chorus' ? 'Chorus' : `Verse ${b.n}`}}`, ...b.lines, `{end_of_${tag}}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+/** Plain text, blocks as the book prints them. */
+function toText(s){
+  const out = [`${s.number ? `${s.number}. ` : ''}${s.title}`, ...metaLines(s).map(([k, v])=> `${k}: ${v}`)];
+  for (const b of s.blocks) out.push('', ...(b.kind === 'chorus' ? ['Chorus:', ...b.lines] : [`${b.n}. ${b.lines[0]}`, ...b.lines.slice(1)]));
+  return out.join('\n') + '\n';
+}
+
+const md = (s)=> String(s).replace(/([\\`*_[\]#<>|])/g, '\\$1');
+
+function toMarkdown(s){
+  const out = [`# ${md(s.number ? `${s.number}. ${s.title}` : s.title)}`, ''];
+  for (const [k, v] of metaLines(s)) out.push(`- **${k}:** ${md(v).replace(/\n/g, ' ')}`);
+  for (const b of s.blocks){
+    const body = b.lines.map(md).join('  \n');        // two trailing spaces: a line break
+    out.push('', b.kind === 'chorus' ? `> *Chorus*  \n> ${body.replace(/\n/g, '\n> ')}` : `**${b.n}** ${body}`);
+  }
+  return out.join('\n') + '\n';
+}
+
+export const FORMATS = {
+  openlyrics: { label: 'OpenLyrics (.xml)', ext: 'xml', type: 'application/xml', render: toOpenLyrics },
+  chordpro:   { label: 'ChordPro (.cho)', ext: 'cho', type: 'text/plain', render: toChordPro },
+  text:       { label: 'Plain text (.txt)', ext: 'txt', type: 'text/plain', render: toText, joiner: '\n\n\n' },
+  markdown:   { label: 'Markdown (.md)', ext: 'md', type: 'text/markdown', render: toMarkdown, joiner: '\n---\n\n' },
+};
+
+const slugify = (s)=> String(s).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'hymn';
+
+function fileName(row, fmt){
+  return `${row.number ? `${String(row.number).padStart(3, '0')}-` : ''}${slugify(row.title)}.${FORMATS[fmt].ext}`;
+}
+
+/**
+ * Download `rows` of one book as `fmt`. `book`: { name, slug, copyright }.
+ * Several hymns go in a .zip unless `oneFile` (text and Markdown only).
+ */
+export function exportHymns(rows, fmt, book, { oneFile = false, name = book.slug } = {}){
+  const f = FORMATS[fmt];
+  if (rows.length === 1){
+    download(`${book.slug}-${fileName(rows[0], fmt)}`, f.render(song(rows[0], book)), f.type);
+  } else if (oneFile && f.joiner){
+    download(`${name}.${f.ext}`, rows.map(r=> f.render(song(r, book))).join(f.joiner), f.type);
+  } else {
+    download(`${name}-${fmt}.zip`, zipFiles(rows.map(r=> ({ name: fileName(r, fmt), text: f.render(song(r, book)) }))));
+  }
+}
+
+/**
+ * Export page (#/export/<slug>): a whole book or its favorites, in any format.
+ * `ctx`: { datasets, loadBook(i), favorites(path) -> Set of ids }.
+ */
+export function showExportPage(el, ds, ctx){
+  const d = ctx.datasets[ds];
+  if (!d){ el.innerHTML = '<h1>Export</h1><p>That book isn’t in this app.</p>'; return; }
+  const here = location.hash;
+  let choice = { which: 'all', fmt: 'openlyrics', pack: 'zip' };
+  let book = null;
+  let message = '';
+
+  const render = ()=>{
+    if (location.hash !== here) return;
+    const favs = ctx.favorites(d.path);
+    const joinable = !!FORMATS[choice.fmt].joiner;
+    el.innerHTML = html`
+      <h1>Export</h1>
+      <p>Save hymns for OpenLP and other worship software (OpenLyrics, ChordPro), or as plain text or Markdown.
+        One hymn is also on every hymn’s <em>Export</em> menu.</p>
+      <form id="exportForm">
+        <div class="set-head">
+          <label>Book <select name="book">
+            ${ctx.datasets.map((x, i)=> html`<option value="${escapeHTML(x.slug)}"${i === ds ? ' selected' : ''}>${escapeHTML(x.name || x.path)}</option>`).join('')}
+          </select></label>
+        </div>
+        <fieldset class="export-choice">
+          <legend>Hymns</legend>
+          <label><input type="radio" name="which" value="all"${choice.which === 'all' ? ' checked' : ''}> Whole book${book ? ` (${book.rows.length})` : ''}</label>
+          <label><input type="radio" name="which" value="favorites"${choice.which === 'favorites' ? ' checked' : ''}${favs.size ? '' : ' disabled'}> Favorites (${favs.size})</label>
+        </fieldset>
+        <fieldset class="export-choice">
+          <legend>Format</legend>
+          ${Object.entries(FORMATS).map(([k, f])=> html`<label><input type="radio" name="fmt" value="${k}"${choice.fmt === k ? ' checked' : ''}> ${escapeHTML(f.label)}</label>`).join('')}
+        </fieldset>
+        <fieldset class="export-choice">
+          <legend>Files</legend>
+          <label><input type="radio" name="pack" value="zip"${choice.pack === 'zip' || !joinable ? ' checked' : ''}> A .zip with one file per hymn</label>
+          <label><input type="radio" name="pack" value="one"${choice.pack === 'one' && joinable ? ' checked' : ''}${joinable ? '' : ' disabled'}> One file with every hymn</label>
+        </fieldset>
+        <div class="page-actions"><button type="submit"${book ? '' : ' disabled'}>Download</button></div>
+      </form>
+      <p class="muted" role="status">${book ? escapeHTML(message) : 'Loading the book…'}</p>`;
+  };
+
+  el.onchange = (e)=>{
+    const { name, value } = e.target;
+    if (name === 'book'){ location.hash = `#/export/${value}`; return; }
+    if (name in choice){ choice = { ...choice, [name]: value }; message = ''; render(); }
+  };
+  el.onsubmit = (e)=>{
+    e.preventDefault();
+    if (!book) return;
+    const favs = ctx.favorites(d.path);
+    const rows = book.rows.filter(r=> r.number !== '0' && (choice.which === 'all' || favs.has(r.id)));
+    if (!rows.length){ message = 'No hymns to export.'; render(); return; }
+    const info = { name: d.name || book.meta.title || d.path, slug: d.slug, copyright: bookCopyright(book.meta) };
+    exportHymns(rows, choice.fmt, info, { oneFile: choice.pack === 'one', name: choice.which === 'all' ? d.slug : `${d.slug}-favorites` });
+    message = `Saved ${rows.length} hymn${rows.length === 1 ? '' : 's'} as ${FORMATS[choice.fmt].label}.`;
+    render();
+  };
+
+  render();
+  ctx.loadBook(ds).then((b)=>{ book = b; render(); }, ()=>{
+    if (location.hash === here) el.innerHTML = html`<h1>Export</h1><p>Couldn’t load ${escapeHTML(d.name || d.path)}.</p>`;
+  });
+}
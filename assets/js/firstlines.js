@@ -0,0 +1,93 @@
+// assets/js/firstlines.js — index of first lines (#/lines/<slug>)
+//
+// Like the index at the back of a printed hymnal, but with the first line of every verse and
+// chorus (row.firstLines, from buildLyricsHtml in hymnal.js), so a remembered verse 3 or chorus
+// leads to its hymn. Each entry links to its block: #/<slug>/<id>?at=v3.
+import { html, escapeHTML, normalize } from './utils.js';
+
+/** "verse 3", "chorus", or "chorus 2" when the hymn has more than one. */
+export function blockLabel(row, b){
+  if (b.kind === 'verse') return `verse ${b.n}`;
+  const choruses = (row.firstLines || []).filter(x=> x.kind === 'chorus').length;
+  return choruses > 1 ? `chorus ${b.n}` : 'chorus';
+}
+
+/** "v3" / "c1": the data-at of the block in the hymn's lyrics. */
+export function blockAt(b){
+  return `${b.kind[0]}${b.n}`;
+}
+
+const opening = (b)=> b.kind === 'verse' && b.n === 1;
+
+// Sort on letters only: quotes, "¡", "‘Tis" and the like shouldn't decide the place
+const sortKey = (line)=> normalize(line).replace(/^[^a-z0-9]+/, '').replace(/[^a-z0-9 ]+/g, '');
+
+/** Every first line in the book: [{ line, key, letter, row, b }] in alphabetical order. */
+export function firstLineIndex(rows){
+  const out = [];
+  for (const row of rows){
+    if (row.number === '0') continue;       // cover page
+    const seen = new Set();
+    for (const b of row.firstLines || []){
+      const key = sortKey(b.line);
+      if (!key || seen.has(key)) continue;   // a chorus written out again
+      seen.add(key);
+      const c = key[0].toUpperCase();
+      out.push({ line: b.line, key, letter: /[A-Z]/.test(c) ? c : '#', row, b });
+    }
+  }
+  return out.sort((x, y)=> x.key.localeCompare(y.key) || parseInt(x.row.number, 10) - parseInt(y.row.number, 10));
+}
+
+/**
+ * The index for book `ds`.
+ * `ctx`: { datasets, loadBook(i), hymnHref(ds, id, at) }.
+ */
+export function showFirstLinesPage(el, ds, ctx){
+  const d = ctx.datasets[ds];
+  if (!d){ el.innerHTML = '<h1>First lines</h1><p>That book isn’t in this app.</p>'; return; }
+  const here = location.hash;
+  const picker = html`
+    <label>Book <select id="linesBook">
+      ${ctx.datasets.map((x, i)=> html`<option value="${escapeHTML(x.slug)}"${i === ds ? ' selected' : ''}>${escapeHTML(x.name || x.path)}</option>`).join('')}
+    </select></label>`;
+
+  el.innerHTML = html`<h1>First lines</h1><div class="page-actions">${picker}</div><p class="muted">Loading ${escapeHTML(d.name || d.path)}…</p>`;
+
+  el.onchange = (e)=>{
+    if (e.target.id === 'linesBook') location.hash = `#/lines/${e.target.value}`;
+  };
+  el.onclick = (e)=>{
+    const btn = e.target.closest('button[data-letter]');
+    if (btn) el.querySelector(`#lines-${btn.dataset.letter === '#' ? 'num' : btn.dataset.letter}`)?.scrollIntoView({ block: 'start' });
+  };
+
+  ctx.loadBook(ds).then((book)=>{
+    if (location.hash !== here) return;
+    const list = firstLineIndex(book.rows);
+    const groups = new Map();
+    for (const e of list){
+      if (!groups.has(e.letter)) groups.set(e.letter, []);
+      groups.get(e.letter).push(e);
+    }
+    const letters = [...'ABCDEFGHIJKLMNOPQRSTUVWXYZ', '#'];
+    el.innerHTML = html`
+      <h1>First lines</h1>
+      <div class="page-actions">${picker}</div>
+      <p class="muted">${list.length} first lines of every verse and chorus in ${escapeHTML(d.name || d.path)}. Choruses are in italics.</p>
+      <nav class="letter-jump" aria-label="Jump to letter">
+        ${letters.map(l=> html`<button type="button" data-letter="${l}"${groups.has(l) ? '' : ' disabled'}>${l}</button>`).join('')}
+      </nav>
+      ${[...groups].sort((a, b)=> letters.indexOf(a[0]) - letters.indexOf(b[0])).map(([l, entries])=> html`
+      <h2 class="lines-letter" id="lines-${l === '#' ? 'num' : l}">${l}</h2>
+      <ul class="first-lines">
+        ${entries.map(({ line, row, b })=> html`
+        <li class="${b.kind}">
+          <a href="${ctx.hymnHref(ds, row.id, opening(b) ? '' : blockAt(b))}">${escapeHTML(line)}</a>
+          <span class="muted">${escapeHTML(row.number)}${opening(b) ? '' : ` · ${escapeHTML(blockLabel(row, b))}`}</span>
+        </li>`).join('')}
+      </ul>`).join('')}`;
+  }, ()=>{
+    if (location.hash === here) el.innerHTML = html`<h1>First lines</h1><div class="page-actions">${picker}</div><p>Couldn’t load ${escapeHTML(d.name || d.path)}.</p>`;
+  });
+}
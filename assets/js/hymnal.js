@@ -0,0 +1,457 @@
+// assets/js/hymnal.js — parse the hymnal TXT format (--title, --index, --lyrics, …) into rows
+// No DOM access here: this runs in the parse worker (parse-worker.js), on the main thread as a
+// fallback, and under Node for tools.
+import { decodeEntities } from './utils.js';
+import { extractHymnMeta } from './hymnmeta.js';
+
+function normalizeNewlines(s=''){
+  return String(s)
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n/g,'\n')
+    .replace(/\r/g,'\n');
+}
+
+export function stripTags(s=''){
+  return s.replace(/<[^>]*>/g,'');
+}
+
+export function sanitizeInlineHtml(s=''){
+  let out = String(s);
+  out = out.replace(/<span\b[^>]*fa-pause-circle[^>]*><\/span>/gi, '');
+  out = out.replace(/<script\b[^>]*>[\s\S]*?<\/script>/gi, '');
+  out = out.replace(/\son\w+\s*=\s*("[^"]*"|'[^']*'|[^\s>]+)/gi, '');
+  out = out.replace(/\s(href|src)\s*=\s*(['"])\s*javascript:[^'\"]*\2/gi, ' $1="#"');
+  // Strip links but keep inner text
+  out = out.replace(/<a\b[^>]*>/gi, '').replace(/<\/a>/gi, '');
+  return out;
+}
+
+function removeEndingPunctuation(line){
+  const s = (line ?? '').toString();
+  if (!s) return s;
+  const last = s.slice(-1);
+  if (last === ',' || last === '-' || last === ':' || last === ';') return s.slice(0,-1);
+  return s;
+}
+
+function parseBool(s){
+  return String(s||'').trim().toLowerCase() === 'true';
+}
+
+/** Sections parseHymnal() reads. Any other "--" line starts a section too, and is ignored. */
+export const SECTION_NAMES = ['title', 'additionalinfo', 'firstlineistitle', 'usetoptext', 'usebottomtext', 'usemeter',
+  'index', 'tags', 'categories', 'audio', 'audiourl', 'lyrics'];
+
+/** The file's "--name" sections: { lowercased name: text }. */
+export function parseSections(fullText){
+  const t = normalizeNewlines(fullText);
+  const lines = t.split('\n');
+  const sections = Object.create(null);
+  let cur = null;
+
+  for (const raw of lines){
+    const line = raw ?? '';
+    if (line.startsWith('--')){
+      cur = line.slice(2).trim();
+      const key = cur.toLowerCase();
+      if (!(key in sections)) sections[key] = '';
+      continue;
+    }
+    if (cur){
+      sections[cur.toLowerCase()] += line + '\n';
+    }
+  }
+
+  for (const k of Object.keys(sections)){
+    // trim one trailing newline
+    if (sections[k].endsWith('\n')) sections[k] = sections[k].slice(0,-1);
+  }
+  return sections;
+}
+
+function parseIndexEntries(indexSectionText=''){
+  // Entries look like "7|bl ls mn": hymn number, then optional space-separated tag codes.
+  const raw = (indexSectionText || '').trim();
+  if (!raw) return [];
+  const parts = raw.split(',').map(x=>x.trim()).filter(Boolean);
+  const out = [];
+  const byNum = new Map();
+  for (const p of parts){
+    const [numPart, codePart = ''] = p.split('|');
+    const songNum = numPart.replace(/[\s\.]/g,'');
+    // Allow hymn 0 (cover) as well as 1..N
+    if (!songNum || !/^\d+$/.test(songNum)) continue;
+    const codes = codePart.trim().split(/\s+/).filter(Boolean);
+    const prev = byNum.get(songNum);
+    if (prev){
+      // Repeated entry: keep first position, merge its codes
+      for (const c of codes) if (!prev.tags.includes(c)) prev.tags.push(c);
+      continue;
+    }
+    const entry = { number: songNum, tags: codes };
+    byNum.set(songNum, entry);
+    out.push(entry);
+  }
+  return out;
+}
+
+function parseTags(tagsSectionText=''){
+  // Lines look like "Meeting: Lord's Supper|ls". A "Group: Label" prefix becomes the group.
+  const out = [];
+  const seen = new Set();
+  for (const raw of normalizeNewlines(tagsSectionText).split('\n')){
+    const line = raw.trim();
+    const bar = line.lastIndexOf('|');
+    if (bar <= 0) continue;
+    const code = line.slice(bar+1).trim();
+    if (!code || seen.has(code)) continue;
+    seen.add(code);
+
+    let label = decodeEntities(stripTags(line.slice(0, bar))).trim().replace(/^-+\s*|\s*-+$/g,'');
+    let group = 'Topic';
+    const m = label.match(/^([^:]{2,24}):\s*(.+)$/);
+    if (m){ group = m[1].trim(); label = m[2].trim(); }
+    out.push({ code, label: label || code, group });
+  }
+  return out;
+}
+
+function parseCategories(categoriesSectionText=''){
+  // Lines look like "Gospel|1-240": a name and an inclusive hymn number range.
+  const out = [];
+  for (const raw of normalizeNewlines(categoriesSectionText).split('\n')){
+    const line = raw.trim();
+    const bar = line.lastIndexOf('|');
+    if (bar <= 0) continue;
+    const m = line.slice(bar+1).trim().match(/^(\d+)\s*-\s*(\d+)$/);
+    if (!m) continue;
+    const name = decodeEntities(stripTags(line.slice(0, bar))).trim();
+    const start = parseInt(m[1],10), end = parseInt(m[2],10);
+    if (!name || end < start) continue;
+    out.push({ name, start, end });
+  }
+  return out;
+}
+
+function categoryForNumber(categories, number){
+  const n = parseInt(number,10);
+  if (Number.isNaN(n)) return '';
+  const c = categories.find(c=> n >= c.start && n <= c.end);
+  return c ? c.name : '';
+}
+
+function parseAudio(audioSectionText=''){
+  // Lines look like "1|Deerhurst.abc|Deerhurst <div class="tuneFor">…</div>|Deerhurst_melody.abc".
+  // "#" lines are commented out; "N|.|<html>" rows are info notes shown between the tunes.
+  const byNumber = new Map();
+  for (const raw of normalizeNewlines(audioSectionText).split('\n')){
+    const line = raw.trim();
+    if (!line || line.startsWith('#')) continue;
+    const cells = line.split('|');
+    let num = cells[0].trim();
+    const copyright = /^\(c\)/i.test(num);
+    num = num.replace(/^\(c\)\s*/i, '');
+    if (!/^\d+$/.test(num)) continue;
+
+    let rest = cells.slice(1);
+    // "123||Duke_Street.abc|Duke Street": the file slid one column right
+    if (rest[0] === '' && /\.abc$/i.test(rest[1] || '')) rest = rest.slice(1);
+    const file = (rest[0] || '').trim();
+
+    if (!byNumber.has(num)) byNumber.set(num, []);
+    const list = byNumber.get(num);
+
+    if (file === '.'){
+      const infoHtml = sanitizeInlineHtml(rest.slice(1).join('|')).trim();
+      if (infoHtml) list.push({ kind: 'info', html: infoHtml });
+      continue;
+    }
+    if (!/\.abc$/i.test(file)) continue;
+
+    const nameHtml = (rest[1] || '').trim();
+    const source = decodeEntities(stripTags((nameHtml.match(/class="source"[^>]*>([\s\S]*?)<\/span>/i) || [,''])[1])).replace(/^\(|\)$/g, '').trim();
+    const tuneFor = decodeEntities(stripTags((nameHtml.match(/class="tuneForText"[^>]*>([\s\S]*?)<\/span>/i) || [,''])[1])).trim();
+    let label = decodeEntities(stripTags(nameHtml.replace(/<div[\s\S]*$/i, '').replace(/<span class="source"[\s\S]*?<\/span>/i, ''))).replace(/\s+/g,' ').trim();
+    if (!label) label = file.replace(/\.abc$/i, '').replace(/_/g, ' ');
+    // A leading "*" marks unpublished / informal tune options
+    const informal = label.startsWith('*');
+    label = label.replace(/^\*\s*/, '');
+    const melodyFile = /\.abc$/i.test((rest[2] || '').trim()) ? rest[2].trim() : '';
+
+    list.push({ kind: 'tune', file, melodyFile, label, tuneFor, source, informal, copyright });
+  }
+  // Info rows with no tune around them are dropped
+  for (const [num, list] of byNumber) if (!list.some(e=> e.kind === 'tune')) byNumber.delete(num);
+  return byNumber;
+}
+
+export function computeOffsets(meta){
+  // Mirrors the APK logic (convertSong): fixed offsets after hymn number line.
+  let topTextIndex = 1;
+  let bottomTextIndex = 1;
+  let meterIndex = 1;
+  let firstLyricIndex = 2;
+
+  if (!meta.firstLineIsTitle){
+    firstLyricIndex++; topTextIndex++; bottomTextIndex++; meterIndex++;
+  }
+  if (meta.useTopText){
+    firstLyricIndex++; bottomTextIndex++; meterIndex++;
+  }
+  if (meta.useBottomText){
+    firstLyricIndex++; meterIndex++;
+  }
+  if (meta.useMeter){
+    firstLyricIndex++;
+  }
+  return { topTextIndex, bottomTextIndex, meterIndex, firstLyricIndex };
+}
+
+export function isHymnNumberLine(rawLine, prevLine){
+  // Hymn numbers are digits-only lines (no meters like 10.6.10.6.).
+  // Allow hymn 0 for "cover" entries. Keep blank-line guard to avoid false positives.
+  const t = (rawLine ?? '').toString().trim();
+  if (!t) return null;
+  if (!/^\d+$/.test(t)) return null;
+
+  const n = parseInt(t, 10);
+  if (!Number.isFinite(n) || n < 0 || n > 2000) return null;
+
+  const prev = (prevLine ?? '').toString().trim();
+  if (prev !== '') return null;
+
+  return t;
+}
+
+/**
+ * Lyrics lines -> { html, firstLines }.
+ * Each block is a <div class="stanza|chorus" data-at="v3|c1"> (BHB's inline .addedChorus gets a
+ * data-at too), and firstLines lists every block's first line in order:
+ * [{ kind: 'verse' | 'chorus', n, line }], verses and choruses numbered separately.
+ */
+function buildLyricsHtml(lyricsLines){
+  // Original app behavior: chorus triggered by line that is only "c" or "chorus".
+  const out = [];
+  const firstLines = [];
+  const count = { verse: 0, chorus: 0 };
+  let buf = [];
+  let mode = 'stanza';
+  let at = '';
+
+  const plain = (raw)=> decodeEntities(stripTags(raw)).replace(/\s+/g, ' ').trim();
+  const firstLine = (kind, raw)=>{
+    const n = ++count[kind];
+    const line = removeEndingPunctuation(plain(raw).replace(/^\d+\.\s+/, ''));   // "2. He left…" in some books
+    if (line) firstLines.push({ kind, n, line });
+    return `${kind[0]}${n}`;
+  };
+
+  const flush = ()=>{
+    if (!buf.length) return;
+    const block = buf.map(l=>sanitizeInlineHtml(l)).join('<br>');
+    out.push(at ? `<div class="${mode}" data-at="${at}">${block}</div>` : `<div class="${mode}">${block}</div>`);
+    buf = [];
+    at = '';
+  };
+
+  for (const rawLine of lyricsLines){
+    let line = (rawLine ?? '').replace(/\r/g,'');
+    const trimmed = line.trim();
+    const lower = trimmed.toLowerCase();
+
+    if (!trimmed){
+      flush();
+      mode = 'stanza';
+      continue;
+    }
+
+    if (lower === 'c' || lower === 'chorus' || lower === 'chorus:' || lower === 'c.'){
+      flush();
+      mode = 'chorus';
+      continue;
+    }
+
+    // A block's first line, passing over "(C)" and one-letter markers above it
+    if (!at && !/^(\(c\)|[a-z])$/i.test(plain(line))) at = firstLine(mode === 'chorus' ? 'chorus' : 'verse', line);
+    const added = line.match(/<div class=["']addedChorus["'][^>]*>/i);
+    if (added){
+      const rest = line.slice(added.index + added[0].length);
+      line = line.slice(0, added.index) + added[0].replace(/>$/, ` data-at="${firstLine('chorus', rest)}">`) + rest;
+    }
+    buf.push(line);
+  }
+  flush();
+  return { html: out.join('\n'), firstLines };
+}
+
+function extractTitleFromLyricsLines(lyricsLines){
+  // Skip blank lines, copyright marker "(C)", and chorus markers at the very top.
+  let i = 0;
+  let prefix = '';
+  while (i < lyricsLines.length){
+    const raw = (lyricsLines[i] ?? '').toString();
+    const t = decodeEntities(stripTags(raw)).trim();
+    const up = t.toUpperCase();
+
+    if (!t){ i++; continue; }
+
+    // Copyright marker line (C) => title is the next meaningful line, prefixed with ©
+    if (up.includes('(C)')){
+      prefix = '© ';
+      i++;
+      continue;
+    }
+
+    // Chorus markers
+    const low = t.toLowerCase();
+    if (low === 'c' || low === 'chorus' || low === 'chorus:' || low === 'c.'){
+      i++;
+      continue;
+    }
+
+    return prefix + removeEndingPunctuation(t);
+  }
+  return '';
+}
+
+export function parseHymnal(fullText){
+  const sections = parseSections(fullText);
+
+  // Header meta
+  const meta = {
+    title: (sections['title'] || '').trim(),
+    additionalInfoHtml: sanitizeInlineHtml(sections['additionalinfo'] || sections['additionalInfo'] || ''),
+    firstLineIsTitle: parseBool(sections['firstlineistitle']),
+    useTopText: parseBool(sections['usetoptext']),
+    useBottomText: parseBool(sections['usebottomtext']),
+    useMeter: parseBool(sections['usemeter']),
+    indexOrder: [],
+    tags: parseTags(sections['tags'] || ''),
+    categories: parseCategories(sections['categories'] || ''),
+    audioURL: (sections['audiourl'] || '').trim(),
+  };
+
+  // Index codes are only tags when the book declares a --tags section;
+  // some books (e.g. Christian_Teen_Camp_PEI) put titles after the "|" instead.
+  const indexEntries = parseIndexEntries(sections['index'] || '');
+  meta.indexOrder = indexEntries.map(e=> e.number);
+  const tagsByNumber = new Map(meta.tags.length ? indexEntries.map(e=> [e.number, e.tags]) : []);
+  const tunesByNumber = parseAudio(sections['audio'] || '');
+
+  const lyricsText = normalizeNewlines(sections['lyrics'] || '');
+  const lines = lyricsText.split('\n');
+
+  const offsets = computeOffsets(meta);
+
+  // Collect hymn chunks
+  const chunks = [];
+  let cur = null;
+
+  for (let i = 0; i < lines.length; i++){
+    const n = isHymnNumberLine(lines[i], i>0 ? lines[i-1] : "");
+    if (n){
+      if (cur) chunks.push(cur);
+      cur = { number: n, lines: [lines[i]] };
+      continue;
+    }
+    if (cur) cur.lines.push(lines[i]);
+  }
+  if (cur) chunks.push(cur);
+
+  const byNumber = new Map();
+
+  for (const c of chunks){
+    const hymnLines = c.lines;
+    const number = c.number;
+
+    // Defensive: ensure we have enough lines
+    const getLine = (idx)=> (idx >= 0 && idx < hymnLines.length) ? hymnLines[idx] : '';
+
+    let title = '';
+    if (!meta.firstLineIsTitle){
+      // Title is supplied on the line right after hymn number
+      title = removeEndingPunctuation(decodeEntities(stripTags(getLine(1))).trim());
+    }
+
+    const topTextRaw = meta.useTopText ? getLine(offsets.topTextIndex) : '';
+    const bottomTextRaw = meta.useBottomText ? getLine(offsets.bottomTextIndex) : '';
+    const meterRaw = meta.useMeter ? getLine(offsets.meterIndex) : '';
+
+    const lyricsLines = hymnLines.slice(offsets.firstLyricIndex);
+
+    if (meta.firstLineIsTitle){
+      title = extractTitleFromLyricsLines(lyricsLines) || `Hymn ${number}`;
+    }
+
+    // Plain-text fields for search/copy
+    const extracted = extractHymnMeta(topTextRaw, bottomTextRaw);
+    const meterPlain = decodeEntities(stripTags(meterRaw)).replace(/\s+/g,' ').trim();
+
+    const lyricsPlain = decodeEntities(stripTags(lyricsLines.join('\n')))
+      .replace(/\n{3,}/g,'\n\n')
+      .trim();
+
+    const { html: lyricsHtml, firstLines } = buildLyricsHtml(lyricsLines);
+
+    byNumber.set(number, {
+      id: `${number}`,
+      number,
+      title: title || `Hymn ${number}`,
+      author: extracted.author,
+      authorYear: extracted.authorYear,
+      tune: extracted.tune,
+      // 1989 GHB has no --useMeter; its meter sits in the top text
+      meter: meterPlain || extracted.meter,
+      source: extracted.source,
+      crossRefs: extracted.crossRefs,
+      info: extracted.info,
+      scripture: '',
+      tags: tagsByNumber.get(number) || [],
+      category: categoryForNumber(meta.categories, number),
+      tunes: tunesByNumber.get(number) || [],
+      lyrics: lyricsPlain,
+      firstLines,
+      _raw: {
+        topTextHtml: sanitizeInlineHtml(topTextRaw || ''),
+        bottomTextHtml: sanitizeInlineHtml(bottomTextRaw || ''),
+        meterText: meterPlain || extracted.meter,
+        lyricsHtml,
+      }
+    });
+  }
+
+  // Order hymns: prefer --index order if provided.
+  const ordered = [];
+  const seen = new Set();
+
+  if (meta.indexOrder && meta.indexOrder.length){
+    let pos = 0;
+    for (const n of meta.indexOrder){
+      const h = byNumber.get(n);
+      if (!h) continue;
+      if (seen.has(n)) continue;
+      seen.add(n);
+      h._order = pos++;
+      ordered.push(h);
+    }
+    // Add anything not in index at the end (stable numeric)
+    const rest = Array.from(byNumber.values()).filter(h=>!seen.has(h.number));
+    rest.sort((a,b)=>parseInt(a.number,10)-parseInt(b.number,10));
+    for (const h of rest){ h._order = pos++; ordered.push(h); }
+  } else {
+    const all = Array.from(byNumber.values());
+    all.sort((a,b)=>parseInt(a.number,10)-parseInt(b.number,10));
+    all.forEach((h,idx)=> h._order = idx);
+    ordered.push(...all);
+  }
+
+  // Ensure hymn 0 (cover) is always first if present
+  const coverIdx = ordered.findIndex(h => h.number === '0');
+  if (coverIdx >= 0){
+    const [cover] = ordered.splice(coverIdx, 1);
+    ordered.unshift(cover);
+    ordered.forEach((h,i)=> h._order = i);
+  }
+
+  return { meta, rows: ordered };
+}
@@ -0,0 +1,304 @@
+// assets/js/hymnmeta.js — turn a hymn's top/bottom text into structured fields
+//
+// Books mark this up in many ways: BHB uses <div class="tuneName"> and <div class="author">,
+// UKGHB writes "HYMN NUMBERS: … <br>TUNE(S): …" and "AUTHOR: Last, First (years)",
+// the GHBs write "Tune R.S. No. 445", Gospel_Hymns adds "Credit: "Title," Author; Book #n".
+// Each top/bottom line is split into segments and each segment is classified.
+import { decodeEntities } from './utils.js';
+
+// Book abbreviations seen in cross-references -> stable code
+const BOOK_CODES = {
+  'NEWBHB': 'NBHB', 'NBHB': 'NBHB',
+  'PREVIOUSBHB': 'BHB', 'BHB': 'BHB',
+  'OLDGHB': 'OGHB', 'GHB': 'GHB',
+  'CHF': 'CHF', 'RS': 'RS', 'RED': 'RS', 'SS': 'SS', 'SFH': 'SFH', 'SF': 'SFH',
+};
+
+const BOOK_LABELS = {
+  NBHB: 'New BHB', BHB: 'BHB', OGHB: 'Old GHB', GHB: 'GHB',
+  CHF: 'CHF', RS: 'Redemption Songs', SS: 'Sacred Songs & Solos',
+};
+
+const REF_RE = /\b(New\s+BHB|Previous\s+BHB|Old\s+GHB|N\.?\s?B\.?\s?H\.?\s?B\.?|B\.?\s?H\.?\s?B\.?|G\.?\s?H\.?\s?B\.?|C\.?\s?H\.?\s?F\.?|R\.?\s?S\.?|Red\.|S\.?\s?S\.?|S\.?\s?F\.?\s?H\.?|SF)\s*(?:No\.?|#)?\s*(\d{1,4})\b/g;
+const METER_RE = /^(?:\d{1,2}(?:\s*\.\s*\d{1,2})+\.?(?:\s*D\.?)?|[CLS]\.\s?M\.?(?:\s?D\.?)?|Irregular\.?|P\.?\s?M\.?)(?:\s*(?:and|with|&)\s*(?:chorus|refrain)\.?)?$/i;
+const YEAR_RE = /\(\s*((?:c\.\s*)?\d{4}(?:\s*[-–]\s*(?:\d{2,4}|\?{2,4})?)?|\d{1,2}(?:st|nd|rd|th)\s+Cent\.?)\s*\)/i;
+const COPYRIGHT_RE = /(?:©|&copy;|\(c\)|\bcopyright\b|\bpublic domain\b|\binternational copyright\b)/i;
+// Between tune names: ". ", " / " or a final "."; not the "." of St./Mt./Dr. starting a name
+const TUNE_SPLIT_RE = /(?<!(?:^|[.\/]\s*)(?:St|Ste|Ss|Mt|Dr))\.\s+|\s+\/\s+|\.$/;
+
+// BHB's <div class="tuneName"> lists its tunes with only spaces between them ("Deerhurst Lux Eoi
+// Abbot's Leigh"), so these names of more than one word are kept together. Names held together
+// by a small word ("Hold the Fort"), "St. …", numbers ("Old 42nd", "Zoan II") and "(…)" need no entry.
+const MULTI_WORD_TUNES = [
+  "Abbot's Leigh", 'Agnus Dei', 'Austrian Hymn', 'Better World', 'Blessed Hope', 'Chapel Brae',
+  'Channels Only', 'Christ Arose', 'Crowning Day', 'Cwm Rhondda', 'Dominus Regit Me', 'Draw Me Nearer',
+  'Duke Street', 'Eden Grove', 'English Air', 'Epiphany Hymn', 'Far Away', 'For Ever', 'Glad Tidings', 'Golden City',
+  'Gospel of Thy Grace', 'Happy Day', 'Happy Land', 'Hold Thou My Hand', 'Holy Trinity', "I've Found a Friend",
+  'In Memorian', 'Jesus, I love Thee', 'Land Ahead', 'Laudate Dominum', 'Liebster Jesu', "Luther's Hymn",
+  'Lux Eoi', 'Luz Benigna', 'Melbourne Hall', 'Mighty Love', 'Miles Lane', 'Moel Llys', 'Morning Light',
+  'My Redeemer', 'Ne Derelinquas Me', 'Nearer Home', 'Nox Praecessit', 'Old Hundred', 'Old Hundredth',
+  'Old Winchester', 'Orientis Partibus', 'Pater Omnium', 'Pilgrim Song', 'Praise Him', 'Praise My Soul',
+  'Redemption Ground', 'Regent Square', 'Regents Square', 'Rex Gloria', 'Sennen Cove', "St. George's, Edinburgh",
+  'Surrey Chapel', 'Tavy Cleave', 'Tiltey Abbey', "Troyte's Chant", 'Verily, Verily', 'Vox Dilecti',
+  'Warwick Lane', 'Wye Valley',
+].map(n=> n.toLowerCase().split(' ')).sort((a, b)=> b.length - a.length);
+// Lowercase words that join the words either side into one name
+const TUNE_JOINERS = new Set(['a', 'about', 'and', 'art', 'at', 'be', 'den', 'in', 'is', 'may', 'of', 'that', 'the', 'to', 'what']);
+
+/** Names in a space-separated tune list, as described at MULTI_WORD_TUNES. */
+export function splitTuneWords(text){
+  const words = text.split(/\s+/).filter(w=> w && w !== ':' && w !== '/');
+  const lower = words.map(w=> w.toLowerCase());
+  const names = [];
+  for (let i = 0; i < words.length;){
+    const known = MULTI_WORD_TUNES.find(n=> n.every((w, k)=> (k === n.length - 1 ? lower[i + k]?.replace(/,$/, '') : lower[i + k]) === w));
+    let end = i + (known ? known.length : 1);
+    if (!known){
+      if (/^(?:St|Ste|Ss|Mt|Dr)\.?$/i.test(words[i]) && end < words.length) end++;
+      if (words[i].startsWith('(')) while (end < words.length && !words[end - 1].endsWith(')')) end++;
+      while (end < words.length && !words[end - 1].endsWith(',')){
+        const next = words[end];
+        if (/^(?:\d+(?:st|nd|rd|th)?|[IVX]+)$/.test(next)) end++;
+        else if (next.startsWith('(')){ end++; while (end < words.length && !words[end - 1].endsWith(')')) end++; }
+        else if (/^[a-z]/.test(next)) end += TUNE_JOINERS.has(next) && end + 1 < words.length ? 2 : 1;
+        else break;
+      }
+    }
+    names.push(words.slice(i, end).join(' ').replace(/,$/, ''));
+    i = end;
+  }
+  return names;
+}
+
+function plain(s=''){
+  return decodeEntities(String(s).replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+function bookCode(label){
+  return BOOK_CODES[label.replace(/[.\s]/g, '').toUpperCase()] || label.replace(/[.\s]/g, '').toUpperCase();
+}
+
+/** All "BHB 12" / "New BHB #12" / "C.H.F. No. 37" references in a piece of text. */
+export function findBookRefs(text=''){
+  const out = [];
+  for (const m of String(text).matchAll(REF_RE)){
+    const book = m[1].replace(/\s+/g, ' ').trim();
+    out.push({ book, code: bookCode(book), number: String(parseInt(m[2], 10)) });
+  }
+  return out;
+}
+
+/** Display name for a cross-reference book code ("NBHB" -> "New BHB"). */
+export function bookLabel(code){
+  return BOOK_LABELS[code] || code;
+}
+
+export function looksLikeMeter(s=''){
+  return METER_RE.test(String(s).trim());
+}
+
+// Named meters and the numbers they stand for
+const NAMED_METERS = { C: [8, 6, 8, 6], L: [8, 8, 8, 8], S: [6, 6, 8, 6] };
+const METER_NAMES = {
+  '8.6.8.6': 'C.M.', '8.8.8.8': 'L.M.', '6.6.8.6': 'S.M.',
+  '8.6.8.6.8.6.8.6': 'C.M.D.', '8.8.8.8.8.8.8.8': 'L.M.D.', '6.6.8.6.6.6.8.6': 'S.M.D.',
+};
+
+function repeatsHalf(nums){
+  const half = nums.length / 2;
+  return nums.length >= 6 && Number.isInteger(half) && nums.slice(0, half).join('.') === nums.slice(half).join('.');
+}
+
+/** "8.7.8.7.8.7.8.7" -> "8.7.8.7.D" (a repeated half; six equal lines stay "8.8.8.8.8.8"). */
+function meterNumbers(nums){
+  const half = nums.length / 2;
+  if (repeatsHalf(nums) && (half >= 4 || new Set(nums).size > 1)){
+    return `${nums.slice(0, half).join('.')}.D`;
+  }
+  return nums.join('.');
+}
+
+/**
+ * Normalize a meter line for comparing hymns: { key, label, chorus } or null when it isn't one.
+ *   "C.M.", "8.6.8.6."            -> key "8.6.8.6", label "C.M. (8.6.8.6)"
+ *   "8.7.8.7.D", "8-7-D", "8.7.8.7. 8.7.8.7." -> key "8.7.8.7.8.7.8.7", label "8.7.8.7.D"
+ *   "7's" (four 7s), "6-8's" (six 8s), "8-7" (8.7.8.7), "8-7-4" / "8.7.4." (8.7.8.7.4.7)
+ *   "P.M." / "Irregular"          -> key "pm" / "irregular" (not interchangeable)
+ * "and chorus" / "with refrain" is dropped from the key and reported as `chorus`.
+ */
+export function normalizeMeter(raw=''){
+  let t = plain(raw).replace(REF_RE, ' ').replace(/[’‘]/g, "'").trim();
+  const chorus = /\b(?:and|with|&)\s*(?:chorus|refrain)\b/i.test(t);
+  t = t.replace(/\s*\b(?:and|with|&)\s*(?:chorus|refrain)\b.*$/i, '').replace(/^[\s.,;]+|[\s,;]+$/g, '');
+  const hasNums = /\d/.test(t);
+  if (!hasNums){
+    if (/^P\.?\s?M\.?$/i.test(t)) return { key: 'pm', label: 'P.M. (peculiar meter)', chorus };
+    if (/^Irregular\.?$/i.test(t)) return { key: 'irregular', label: 'Irregular', chorus };
+  } else {
+    t = t.replace(/\s*\bP\.?\s?M\.?$/i, '');   // "11.11.11.11.8.11. P.M."
+  }
+
+  let nums = null;
+  let doubled = false;
+  let m;
+  if ((m = t.match(/^(D\.?\s?)?([CLS])\.?\s?M\.?(\s?D\.?|\s+Double)?$/i))){
+    nums = NAMED_METERS[m[2].toUpperCase()];
+    doubled = !!(m[1] || m[3]);
+  } else if ((m = t.match(/^(\d)[\s-]+(\d+)\.?\s*'?s$/i))){
+    nums = Array(parseInt(m[1], 10)).fill(parseInt(m[2], 10));          // "6-8's": six lines of 8
+  } else if ((m = t.match(/^(\d+)(?:\.(\d+))?\.?\s*'?s$/i))){
+    const unit = m[2] ? [m[1], m[2]] : [m[1], m[1]];                     // "7's", "11.10's"
+    nums = [...unit, ...unit].map(Number);
+  } else if (hasNums && /^[\d\s.\-–]*(?:\bD\.?|\bDouble)?$/i.test(t)){
+    doubled = /(?:\bD\.?|\bDouble)$/i.test(t);
+    nums = t.match(/\d+/g).map(Number);
+    const short = nums.join('.');
+    if (short === '8.7.4') nums = [8, 7, 8, 7, 4, 7];
+    else if (/-/.test(t) && nums.length === 2) nums = [...nums, ...nums];               // "8-7"
+    else if (/-/.test(t) && nums.length === 3 && !doubled) nums = [...nums, ...nums];   // "8-8-6"
+  }
+  if (!nums || nums.some(n=> n < 1 || n > 20)) return null;
+  // "7.7.7.7. 7.7.7.7.D." already spells out both halves
+  if (doubled && !(nums.length >= 8 && repeatsHalf(nums))) nums = [...nums, ...nums];
+
+  const key = nums.join('.');
+  const numeric = meterNumbers(nums);
+  const name = METER_NAMES[key];
+  return { key, label: name ? `${name} (${numeric})` : numeric, chorus };
+}
+
+function tidyName(s){
+  let t = s.replace(/^(?:AUTHOR|Words(?:\s+and\s+music)?(?:\s+by)?|Written\s+by|By)\s*[:\-]?\s*/i, '').trim();
+  t = t.replace(/[\s,;.]+$/, '');
+  // "Perronet, Edward" -> "Edward Perronet" (only the simple one-comma form)
+  const m = t.match(/^([A-Z][\w'’\-]+),\s*([A-Z][^,]*)$/);
+  if (m) t = `${m[2].trim()} ${m[1]}`;
+  return t.replace(/\s+/g, ' ');
+}
+
+function splitSegments(rawHtml=''){
+  // Returns [{ cls, text }] where cls is the class of an enclosing div/span, if any
+  const out = [];
+  const src = String(rawHtml || '');
+  const re = /<(div|span)\b[^>]*class="(author|tuneName|source)"[^>]*>([\s\S]*?)<\/\1>/gi;
+  let last = 0;
+  const pushLoose = (chunk)=>{
+    for (const part of chunk.split(/<br\s*\/?>|<\/?p>|<\/?div[^>]*>/i)){
+      const text = plain(part);
+      if (text) out.push({ cls: '', text });
+    }
+  };
+  let m;
+  while ((m = re.exec(src))){
+    pushLoose(src.slice(last, m.index));
+    const text = plain(m[3]);
+    if (text) out.push({ cls: m[2].toLowerCase(), text });
+    last = re.lastIndex;
+  }
+  pushLoose(src.slice(last));
+  return out;
+}
+
+/**
+ * Extract { author, authorYear, tune, source, crossRefs, meter, info } from a hymn's
+ * raw top and bottom text. `meter` is only filled when the meter hides in the top text
+ * (1989 GHB); `info` is whatever prose is left over (e.g. Gospel_Hymns commentary).
+ */
+export function extractHymnMeta(topHtml='', bottomHtml=''){
+  const authors = [];
+  const tunes = [];
+  const sources = [];
+  const crossRefs = [];
+  const info = [];
+  let authorYear = '';
+  let meter = '';
+  let tuneRefs = false;     // previous segment was "Tune: R.S. No. 413", refs on the next line belong to it
+
+  const addAuthor = (text)=>{
+    let t = text;
+    const y = t.match(YEAR_RE);
+    if (y){
+      if (!authorYear) authorYear = y[1].replace(/\s+/g, '');
+      t = t.replace(new RegExp(YEAR_RE.source, 'gi'), ' ');
+    }
+    t = tidyName(t);
+    if (t && !authors.includes(t)) authors.push(t);
+  };
+  const addRefs = (text)=>{
+    for (const r of findBookRefs(text)){
+      if (!crossRefs.some(x=> x.code === r.code && x.number === r.number)) crossRefs.push(r);
+    }
+  };
+  // "Zurich. Dennis." is two tunes; "St. Dunstan" is one, but "Clarendon St. Hanover" is two
+  const addTunes = (text)=>{
+    for (const t of text.split(TUNE_SPLIT_RE)){
+      const name = t.replace(/^["“]|["”]$/g, '').replace(/["“”]/g, '').trim();
+      if (name && !tunes.includes(name)) tunes.push(name);
+    }
+  };
+
+  const classify = (seg, where)=>{
+    const text = seg.text;
+    const afterTuneRefs = tuneRefs;
+    tuneRefs = false;
+    if (seg.cls === 'author'){ addAuthor(text); return; }
+    if (seg.cls === 'tunename'){
+      // Only spaces between names here, so "Dominus Regit Me St. Columba" is two, split before "St."
+      for (const t of splitTuneWords(text.replace(/\.$/, ''))) if (!tunes.includes(t)) tunes.push(t);
+      return;
+    }
+    if (seg.cls === 'source'){ sources.push(text.replace(/^\(|\)$/g, '')); return; }
+
+    let m;
+    if ((m = text.match(/^HYMN\s+NUMBERS?\s*:\s*(.*)$/i))){ addRefs(m[1]); return; }
+    if ((m = text.match(/^TUNE\(S\)\s*:\s*(.*)$/i))){ addTunes(m[1]); return; }
+    if ((m = text.match(/^Credit\s*:\s*(.*)$/i))){
+      // Credit: "Shall I Be Saved," F. J. Crosby; R. S. #272
+      const c = m[1].match(/^["“]([^"”]+?)[,]?["”]\s*,?\s*([^;]*)(?:;\s*(.*))?$/);
+      if (c){
+        if (c[2].trim()) addAuthor(c[2]);
+        if (c[3]) sources.push(c[3].trim());
+      } else sources.push(m[1]);
+      return;
+    }
+    if ((m = text.match(/^(?:Alt\.?\s*)?Tunes?\b\s*[:\-]?\s*(.*)$/i))){
+      const rest = m[1].trim();
+      if (!rest) return;
+      if (findBookRefs(rest).length){ sources.push(`Tune: ${rest}`); tuneRefs = true; }
+      else addTunes(rest);
+      return;
+    }
+    if (/^(?:AUTHOR|Words|Written\s+by|By)\b/i.test(text)){
+      // "Words: X. Copyright © 1972 …" keeps the copyright as a source
+      const cut = text.search(COPYRIGHT_RE);
+      if (cut > 0){ addAuthor(text.slice(0, cut)); sources.push(text.slice(cut).trim()); }
+      else addAuthor(text);
+      return;
+    }
+    if (COPYRIGHT_RE.test(text)){ sources.push(text); return; }
+    if (looksLikeMeter(text)){ if (!meter) meter = text; return; }
+    const refs = findBookRefs(text);
+    if (refs.length && text.replace(REF_RE, '').replace(/[\s,;&]+/g, '').length <= 3){
+      if (afterTuneRefs){ sources[sources.length - 1] += `, ${text}`; tuneRefs = true; return; }
+      addRefs(text);
+      return;
+    }
+    if (where === 'top'){ tunes.push(text); return; }
+    // Short name-like lines are credits; sentences ("…world. He…") are notes
+    if (text.length <= 80 && !/[a-z]{3}[.!?]\s+[A-Z]/.test(text)) addAuthor(text);
+    else info.push(text);
+  };
+
+  for (const seg of splitSegments(topHtml)) classify(seg, 'top');
+  for (const seg of splitSegments(bottomHtml)) classify(seg, 'bottom');
+
+  return {
+    author: authors.join(' & '),
+    authorYear,
+    tune: tunes.map(t=> t.replace(/\s+/g, ' ').trim()).filter(Boolean).join(' / '),
+    source: sources.join('; '),
+    crossRefs,
+    meter,
+    info: info.join('\n'),
+  };
+}
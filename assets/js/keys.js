@@ -0,0 +1,125 @@
+// assets/js/keys.js — keyboard shortcuts: search, moving through the list, previous/next hymn,
+// "type a number" quick jump and the ? help
+//
+// One keydown listener for the whole app. It stays out of the way of text fields and of the
+// presenter screen (#/present/…), which has its own keys (presenter.js).
+import { html, escapeHTML, $ } from './utils.js';
+
+const SHORTCUTS = [
+  ['/', 'Search'],
+  ['↓ ↑ or j k', 'Move through the list'],
+  ['Enter', 'Open the hymn'],
+  ['← →', 'Previous / next hymn'],
+  ['0–9', 'Go to a hymn number in this book'],
+  ['Esc', 'Close'],
+  ['?', 'These shortcuts'],
+];
+
+const inField = (el)=> /^(INPUT|SELECT|TEXTAREA)$/.test(el?.tagName || '') || !!el?.isContentEditable;
+
+/**
+ * Listen for shortcuts.
+ * `ctx`: {
+ *   view() -> 'list' | 'detail' | 'page',
+ *   focusSearch(),
+ *   step(delta)              previous (-1) / next (1) hymn from the detail view,
+ *   findNumber(n) -> { title, href } | null   hymn `n` in the current book,
+ * }
+ */
+export function setupKeys(ctx){
+  const jump = $('#jumpOverlay');
+  const help = $('#keysHelp');
+  let typed = '';
+
+  help.innerHTML = html`
+    <div class="key-overlay-box">
+      <h2 id="keysHelpTitle">Keyboard shortcuts</h2>
+      <dl class="keys-list">
+        ${SHORTCUTS.map(([k, what])=> html`<dt><kbd>${escapeHTML(k)}</kbd></dt><dd>${escapeHTML(what)}</dd>`).join('')}
+      </dl>
+      <button type="button" data-close>Close</button>
+    </div>`;
+
+  const drawJump = ()=>{
+    const hit = ctx.findNumber(typed);
+    jump.innerHTML = html`
+      <div class="key-overlay-box">
+        <p class="muted" id="jumpLabel">Go to hymn</p>
+        <p class="jump-number">${escapeHTML(typed)}</p>
+        <p class="jump-title">${hit ? html`<a href="${hit.href}">${escapeHTML(hit.title)}</a>` : 'No hymn with that number'}</p>
+        <p class="muted">Enter to open · Esc to cancel</p>
+      </div>`;
+  };
+
+  const close = ()=>{
+    typed = '';
+    jump.classList.add('hidden');
+    help.classList.add('hidden');
+  };
+
+  const open = (overlay)=>{
+    close();
+    overlay.classList.remove('hidden');
+  };
+
+  const go = ()=>{
+    const hit = ctx.findNumber(typed);
+    close();
+    if (hit) location.hash = hit.href;
+  };
+
+  for (const overlay of [jump, help]){
+    overlay.addEventListener('click', (e)=>{
+      if (e.target === overlay || e.target.closest('[data-close], a')) close();
+    });
+  }
+
+  // List rows to step through with ↓/↑: each row's hymn link
+  const moveInList = (delta)=>{
+    const links = [...document.querySelectorAll('#results a.hymn-title')];
+    if (!links.length) return;
+    const i = links.indexOf(document.activeElement?.closest('#results li')?.querySelector('a.hymn-title'));
+    const next = links[i < 0 ? (delta > 0 ? 0 : links.length - 1) : Math.max(0, Math.min(links.length - 1, i + delta))];
+    next.focus({ preventScroll: true });
+    next.closest('li').scrollIntoView({ block: 'nearest' });
+  };
+
+  addEventListener('keydown', (e)=>{
+    if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (location.hash.startsWith('#/present/')) return;
+    const { key } = e;
+
+    if (!jump.classList.contains('hidden')){
+      if (/^\d$/.test(key) && typed.length < 4) typed += key;
+      else if (key === 'Backspace') typed = typed.slice(0, -1);
+      else if (key === 'Enter'){ e.preventDefault(); go(); return; }
+      else if (key === 'Escape'){ close(); return; }
+      else return;
+      e.preventDefault();
+      if (typed) drawJump(); else close();
+      return;
+    }
+    if (!help.classList.contains('hidden')){
+      if (key === 'Escape' || key === '?'){ e.preventDefault(); close(); }
+      return;
+    }
+
+    if (inField(e.target)){
+      // From the search box, ↓ goes into the results and Esc leaves the box
+      if (e.target.id === 'q' && key === 'ArrowDown' && ctx.view() === 'list'){ e.preventDefault(); moveInList(1); }
+      else if (e.target.id === 'q' && key === 'Escape') e.target.blur();
+      return;
+    }
+
+    const view = ctx.view();
+    if (key === '/'){ e.preventDefault(); ctx.focusSearch(); }
+    else if (key === '?'){ e.preventDefault(); open(help); help.querySelector('[data-close]').focus(); }
+    else if (/^\d$/.test(key)){ e.preventDefault(); open(jump); typed = key; drawJump(); }
+    else if (view === 'list' && (key === 'ArrowDown' || key === 'j')){ e.preventDefault(); moveInList(1); }
+    else if (view === 'list' && (key === 'ArrowUp' || key === 'k')){ e.preventDefault(); moveInList(-1); }
+    else if (view === 'detail' && (key === 'ArrowLeft' || key === 'ArrowRight')){
+      e.preventDefault();
+      ctx.step(key === 'ArrowLeft' ? -1 : 1);
+    }
+  });
+}
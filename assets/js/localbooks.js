@@ -0,0 +1,173 @@
+// assets/js/localbooks.js — hymnal files loaded from this device ("Local" books, #/local)
+//
+// An assembly's own supplement in the same TXT format as hymnals/*.txt (--title, --index,
+// --lyrics, …). The file's text is kept in IndexedDB ('local' store) under a path of
+// "local/<file name>", and app.js adds each one to its datasets after config.json's books, so
+// search, favorites, setlists and #/<slug>/<id> routes work as for any other book. Nothing is
+// uploaded.
+import { html, escapeHTML } from './utils.js';
+import { parseInWorker, storeParsedBook } from './bookstore.js';
+import { formatBytes } from './offline.js';
+import { dbGet, dbPut, dbDelete, dbAll } from './db.js';
+import { forgetBookNotes } from './notes.js';
+
+/** Local books as app.js datasets: [{ name, path, type, local, fileName, count, size, added }], oldest first. */
+export async function localBooks(){
+  let list;
+  try{ list = await dbAll('local'); }
+  catch{ return []; }                  // no IndexedDB (private mode, file://)
+  return list.sort((a, b)=> a.added - b.added)
+    .map(({ text, ...b })=> ({ ...b, type: 'txt', local: true }));
+}
+
+/** The stored text of local book `path`. */
+export async function localBookText(path){
+  const book = await dbGet('local', path);
+  if (!book) throw new Error(`${path} is no longer on this device`);
+  return book.text;
+}
+
+/**
+ * Check that `text` is a hymnal the app can show; throws an Error with a message for the user.
+ * Parses in bookstore.js's worker, so a big file doesn't freeze the page. Returns the parsed book.
+ */
+export async function checkHymnal(text, fileName){
+  if (!text.trim()) throw new Error(`${fileName} is empty.`);
+  if (text.includes('\u0000')) throw new Error(`${fileName} is not a text file.`);
+  if (!/^--[ \t]*lyrics[ \t]*\r?$/im.test(text)){
+    throw new Error(`${fileName} has no --lyrics section. A hymnal file has --title, --index and --lyrics sections, like the books in this app.`);
+  }
+  const book = await parseInWorker(text);
+  if (!book.rows.length){
+    throw new Error(`No hymn numbers found in the --lyrics section of ${fileName}. Each hymn starts with its number on a line of its own, after a blank line.`);
+  }
+  return book;
+}
+
+/**
+ * Check and store `file` (a File); replaces local book `path` when given. Returns the saved entry.
+ * The parsed copy is stored too, so opening the book doesn't parse it again.
+ */
+export async function saveLocalBook(file, path = ''){
+  const text = await file.text();
+  const parsed = await checkHymnal(text, file.name);
+  const title = parsed.meta.title;
+  const count = parsed.rows.filter(r=> r.number !== '0').length;
+
+  const old = path ? await dbGet('local', path) : null;
+  if (!path){
+    const taken = new Set((await dbAll('local')).map(b=> b.path));
+    const base = file.name.replace(/\.txt$/i, '').replace(/[^\w.-]+/g, '_') || 'book';
+    path = `local/${base}.txt`;
+    for (let n = 2; taken.has(path); n++) path = `local/${base}-${n}.txt`;
+  }
+  const book = {
+    path,
+    name: title || file.name.replace(/\.txt$/i, ''),
+    fileName: file.name,
+    count,
+    size: file.size,
+    added: old?.added || Date.now(),
+    updated: Date.now(),
+    text,
+  };
+  await dbPut('local', book);
+  await storeParsedBook(path, text, parsed).catch(err=> console.warn(`Couldn't cache ${path}`, err));
+  return book;
+}
+
+/** Forget local book `path`: its text, parsed copy, favorites and notes. */
+export async function removeLocalBook(path){
+  await dbDelete('local', path);
+  await dbDelete('books', path).catch(()=>{});
+  localStorage.removeItem(`fav_${path}`);
+  forgetBookNotes(path);
+}
+
+/**
+ * "Local books" screen (#/local): load, replace and remove hymnal files.
+ * `ctx`: { datasets, onChange() -> Promise } — onChange re-reads the local books into datasets.
+ */
+export function showLocalBooksPage(el, ctx){
+  let message = '';
+  const here = location.hash;
+
+  const render = async ()=>{
+    const books = await localBooks();
+    if (location.hash !== here) return;
+    const slug = (path)=> ctx.datasets.find(d=> d.path === path)?.slug;
+    el.innerHTML = html`
+      <h1>Local books</h1>
+      <p>Load your own hymnal, such as your assembly's supplement, from a <code>.txt</code> file in the same format as the books here (<code>--title</code>, <code>--index</code>, <code>--lyrics</code>). It is kept in this browser only and is not uploaded anywhere.</p>
+      <div class="drop-zone" id="localDrop">
+        <p>Drop a hymnal file here, or</p>
+        <label class="file-button"><input type="file" id="localFile" accept=".txt,text/plain"> Choose a file…</label>
+      </div>
+      <p class="muted" role="status">${escapeHTML(message)}</p>
+      ${books.length ? html`
+      <table class="offline-table">
+        <thead><tr><th>Book</th><th>File</th><th class="num">Hymns</th><th class="num">Added</th><th></th></tr></thead>
+        <tbody>
+          ${books.map(b=> html`
+          <tr>
+            <td>${slug(b.path) ? html`<a href="#/${escapeHTML(slug(b.path))}">${escapeHTML(b.name)}</a>` : escapeHTML(b.name)}</td>
+            <td>${escapeHTML(b.fileName)} <span class="muted">(${formatBytes(b.size)})</span></td>
+            <td class="num">${b.count}</td>
+            <td class="num">${new Date(b.added).toLocaleDateString()}</td>
+            <td class="actions">
+              <label class="file-button">Replace…<input type="file" data-replace="${escapeHTML(b.path)}" accept=".txt,text/plain"></label>
+              <button type="button" data-remove="${escapeHTML(b.path)}">Remove</button>
+            </td>
+          </tr>`).join('')}
+        </tbody>
+      </table>` : '<p class="muted">No local books yet.</p>'}`;
+
+    const zone = el.querySelector('#localDrop');
+    zone.addEventListener('dragover', (e)=>{ e.preventDefault(); zone.classList.add('is-over'); });
+    zone.addEventListener('dragleave', ()=> zone.classList.remove('is-over'));
+    zone.addEventListener('drop', (e)=>{
+      e.preventDefault();
+      zone.classList.remove('is-over');
+      const file = e.dataTransfer?.files?.[0];
+      if (file) load(file);
+    });
+  };
+
+  const load = async (file, path = '')=>{
+    message = `Checking ${file.name}…`;
+    await render();
+    try{
+      const book = await saveLocalBook(file, path);
+      await ctx.onChange();
+      message = `${path ? 'Replaced' : 'Added'} ${book.name}: ${book.count} hymn${book.count === 1 ? '' : 's'}.`;
+    }catch(err){
+      message = err.message;
+    }
+    await render();
+  };
+
+  el.onchange = (e)=>{
+    const file = e.target.files?.[0];
+    if (!file) return;
+    if (e.target.id === 'localFile') load(file);
+    else if (e.target.dataset.replace) load(file, e.target.dataset.replace);
+  };
+
+  el.onclick = async (e)=>{
+    const btn = e.target.closest('button[data-remove]');
+    if (!btn) return;
+    const d = ctx.datasets.find(x=> x.path === btn.dataset.remove);
+    const name = d?.name || btn.dataset.remove;
+    if (!confirm(`Remove ${name} from this browser? Its favorites and notes go too; setlists keep their entries but can't show them.`)) return;
+    try{
+      await removeLocalBook(btn.dataset.remove);
+      await ctx.onChange();
+      message = `Removed ${name}.`;
+    }catch(err){
+      message = err.message;
+    }
+    await render();
+  };
+
+  render();
+}
@@ -0,0 +1,130 @@
+// assets/js/meters.js — browse by meter (#/meters, #/meter/<key>) and "Same meter" lookups
+//
+// Meters are compared by normalizeMeter()'s key, so "C.M.", "8.6.8.6." and "8-6" are one
+// meter, and "8.7.8.7.D" is "8.7.8.7.8.7.8.7". P.M. and Irregular are listed but never
+// offered as interchangeable.
+import { html, escapeHTML } from './utils.js';
+import { normalizeMeter } from './hymnmeta.js';
+
+const LOOSE = new Set(['pm', 'irregular']);
+const cache = new WeakMap();
+
+/** { key, label, chorus } for a row's meter, or null. Cached per row object. */
+export function rowMeter(row){
+  if (!cache.has(row)) cache.set(row, row.meter ? normalizeMeter(row.meter) : null);
+  return cache.get(row);
+}
+
+/** True when other hymns in this meter can take each other's tunes. */
+export function interchangeable(m){
+  return !!m && !LOOSE.has(m.key);
+}
+
+/** [{ key, label, count, books }] over the loaded books (Map ds -> { rows }), most hymns first. */
+export function meterIndex(books){
+  const byKey = new Map();
+  for (const [ds, book] of books){
+    for (const r of book.rows){
+      const m = rowMeter(r);
+      if (!m) continue;
+      if (!byKey.has(m.key)) byKey.set(m.key, { key: m.key, label: m.label, count: 0, books: new Set() });
+      const e = byKey.get(m.key);
+      e.count++;
+      e.books.add(ds);
+    }
+  }
+  return [...byKey.values()]
+    .map(e=> ({ ...e, books: e.books.size }))
+    .sort((a, b)=> b.count - a.count || a.label.localeCompare(b.label, undefined, { numeric: true }));
+}
+
+/** Every loaded hymn in meter `key`: [{ ds, row, meter }] by dataset, then hymn number. */
+export function hymnsInMeter(key, books){
+  const out = [];
+  for (const ds of [...books.keys()].sort((a, b)=> a - b)){
+    const hits = [];
+    for (const row of books.get(ds).rows){
+      const m = rowMeter(row);
+      if (m && m.key === key) hits.push({ ds, row, meter: m });
+    }
+    hits.sort((a, b)=> String(a.row.number).localeCompare(String(b.row.number), undefined, { numeric: true }));
+    out.push(...hits);
+  }
+  return out;
+}
+
+/** Load every book, calling `onBook()` as each arrives; resolves to Map ds -> book. */
+function loadEvery(ctx, onBook){
+  const books = new Map();
+  return Promise.all(ctx.datasets.map((d, i)=> ctx.loadBook(i).then(b=>{
+    books.set(i, b);
+    onBook(books);
+  }, ()=>{}))).then(()=> books);
+}
+
+/**
+ * Meter index (#/meters): every meter with its hymn count.
+ * `ctx`: { datasets, loadBook(i) }.
+ */
+export function showMetersPage(el, ctx){
+  const total = ctx.datasets.length;
+  const render = (books)=>{
+    if (location.hash !== '#/meters') return;
+    const list = meterIndex(books);
+    const loading = books.size < total ? ` Loading ${books.size} of ${total} books…` : '';
+    el.innerHTML = html`
+      <h1>Meters</h1>
+      <p class="muted">${list.length} meters across ${books.size} book${books.size === 1 ? '' : 's'}.${loading}
+        C.M., L.M. and S.M. are counted with their numeric forms; “and chorus” is ignored.</p>
+      <table class="meter-table">
+        <thead><tr><th>Meter</th><th class="num">Hymns</th><th class="num">Books</th></tr></thead>
+        <tbody>
+          ${list.map(m=> html`
+          <tr>
+            <td><a href="#/meter/${encodeURIComponent(m.key)}">${escapeHTML(m.label)}</a></td>
+            <td class="num">${m.count}</td>
+            <td class="num">${m.books}</td>
+          </tr>`).join('')}
+        </tbody>
+      </table>`;
+  };
+  render(new Map());
+  loadEvery(ctx, render);
+}
+
+/**
+ * All hymns in one meter across all books (#/meter/<key>).
+ * `ctx`: { datasets, loadBook(i), hymnHref(ds, id) }.
+ */
+export function showMeterPage(el, key, ctx){
+  const here = `#/meter/${encodeURIComponent(key)}`;
+  const total = ctx.datasets.length;
+  const render = (books)=>{
+    if (location.hash !== here) return;
+    const hits = hymnsInMeter(key, books);
+    const label = hits[0]?.meter.label || normalizeMeter(key)?.label || key;
+    const loading = books.size < total ? ` Loading ${books.size} of ${total} books…` : '';
+    const groups = new Map();
+    for (const h of hits){
+      if (!groups.has(h.ds)) groups.set(h.ds, []);
+      groups.get(h.ds).push(h);
+    }
+    el.innerHTML = html`
+      <p class="muted"><a href="#/meters">← All meters</a></p>
+      <h1>${escapeHTML(label)}</h1>
+      <p class="muted">${hits.length} hymn${hits.length === 1 ? '' : 's'} in ${groups.size} book${groups.size === 1 ? '' : 's'}.${loading}
+        ${LOOSE.has(key) ? 'These hymns don’t share a meter, so their tunes aren’t interchangeable.' : 'Any of these tunes should fit any of these hymns.'}</p>
+      ${[...groups].map(([ds, list])=> html`
+      <h2 class="meter-book">${escapeHTML(ctx.datasets[ds].name || ctx.datasets[ds].path)} <span class="book-count">(${list.length})</span></h2>
+      <ul class="hymn-list meter-hymns">
+        ${list.map(({ row, meter })=> html`
+        <li>
+          <span class="hymn-no">${escapeHTML(row.number)}</span>
+          <a href="${ctx.hymnHref(ds, row.id)}" class="hymn-title">${escapeHTML(row.title)}</a>
+          <span class="muted">${escapeHTML([row.tune, meter.chorus ? 'with chorus' : ''].filter(Boolean).join(' · '))}</span>
+        </li>`).join('')}
+      </ul>`).join('')}`;
+  };
+  render(new Map());
+  loadEvery(ctx, render);
+}
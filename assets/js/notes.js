@@ -0,0 +1,208 @@
+// assets/js/notes.js — private notes and highlighted lines on hymns
+//
+// Stored in localStorage under "notes":
+//   { '<book path>': { '<hymn number>': { fp, note, lines: [line fp, …], updated } } }
+// Books get corrected and renumbered, so an entry is anchored twice: by the hymn number and by
+// `fp`, a fingerprint of the hymn's first line. When the number now holds a different hymn, the
+// note follows the fingerprint. Highlights are the fingerprints of the lines' words, so they stay
+// on the right line when lines are added or moved, and only drop off when that line is reworded.
+import { html, escapeHTML, normalize } from './utils.js';
+
+const KEY = 'notes';
+
+export function loadNotes(){
+  try{
+    const all = JSON.parse(localStorage.getItem(KEY) || '{}');
+    return all && typeof all === 'object' && !Array.isArray(all) ? all : {};
+  }catch{ return {}; }
+}
+
+export function saveNotes(all){
+  for (const [path, book] of Object.entries(all)) if (!Object.keys(book).length) delete all[path];
+  if (Object.keys(all).length) localStorage.setItem(KEY, JSON.stringify(all));
+  else localStorage.removeItem(KEY);
+}
+
+/** Short hash of a line's words: case, accents, punctuation and spacing don't count. */
+export function fingerprint(text){
+  const words = normalize(text).replace(/[^a-z0-9]+/g, ' ').trim();
+  let h = 0x811c9dc5;                  // FNV-1a
+  for (let i = 0; i < words.length; i++){
+    h ^= words.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(36);
+}
+
+/** A hymn's own fingerprint: its first line (the title for books without lyrics). */
+export const hymnPrint = (row)=> fingerprint(row.firstLines?.[0]?.line || row.title || '');
+
+/**
+ * Notes of book `path` matched to its hymns: Map of row id -> { key, note, lines, updated },
+ * `key` being the number the entry is stored under.
+ */
+export function bookNotes(path, rows){
+  const out = new Map();
+  const saved = Object.entries(loadNotes()[path] || {});
+  if (!saved.length) return out;
+  const byId = new Map(rows.map(r=> [r.id, r]));
+  const same = (key, e)=> byId.has(key) && hymnPrint(byId.get(key)) === e.fp;
+  let byPrint = null;
+  // Entries still on their hymn first, so one that moved can't take a hymn's place
+  for (const [key, e] of [...saved.filter(x=> same(...x)), ...saved.filter(x=> !same(...x))]){
+    let row = byId.get(key);
+    if (!same(key, e)){
+      if (!byPrint){
+        byPrint = new Map();
+        for (const r of rows) if (!byPrint.has(hymnPrint(r))) byPrint.set(hymnPrint(r), r);
+      }
+      row = byPrint.get(e.fp) || row;
+    }
+    if (row && !out.has(row.id)) out.set(row.id, { key, note: e.note || '', lines: e.lines || [], updated: e.updated || 0 });
+  }
+  return out;
+}
+
+/** Store the note and highlights of `row` (dropping the entry when both are empty); `key` is where it was. */
+function saveHymnNote(path, row, { note, lines }, key = row.id){
+  const all = loadNotes();
+  const book = all[path] ||= {};
+  delete book[key];
+  if (note.trim() || lines.length) book[row.id] = { fp: hymnPrint(row), note: note.trim(), lines, updated: Date.now() };
+  saveNotes(all);
+}
+
+/** Forget every note of book `path` (a removed local book). */
+export function forgetBookNotes(path){
+  const all = loadNotes();
+  delete all[path];
+  saveNotes(all);
+}
+
+/**
+ * Wrap each line of rendered lyrics (buildLyricsHtml's blocks, lines split by <br>) in
+ * <span class="lyric-line" data-fp="…"> so lines can be highlighted.
+ */
+export function wrapLines(box){
+  const wrap = (parent)=>{
+    let run = [];
+    const flush = (before)=>{
+      if (run.some(n=> n.textContent.trim())){
+        const span = document.createElement('span');
+        span.className = 'lyric-line';
+        parent.insertBefore(span, before);
+        span.append(...run);
+        span.dataset.fp = fingerprint(span.textContent);
+      }
+      run = [];
+    };
+    for (const n of [...parent.childNodes]){
+      if (n.nodeName === 'BR') flush(n);
+      else if (n.nodeType === 1 && (n.nodeName === 'DIV' || n.querySelector('br, div'))){ flush(n); wrap(n); }
+      else run.push(n);
+    }
+    flush(null);
+  };
+  for (const b of box.querySelectorAll(':scope > .stanza, :scope > .chorus')) wrap(b);
+}
+
+let marking = false;      // "Highlight lines" is on: a tap on a line marks it
+let markingId = '';
+
+/**
+ * The note and highlights of a hymn in the detail view: `panel` is the #hymnNotes section,
+ * `box` the #hymnLyrics after wrapLines().
+ * `ctx`: { path, row, rows } — `rows` is the whole book, to place notes whose hymn moved.
+ */
+export function showHymnNotes(panel, box, { path, row, rows }){
+  const id = `${path}\n${row.id}`;
+  if (id !== markingId){ marking = false; markingId = id; }
+  let editing = false;
+
+  const current = ()=> bookNotes(path, rows).get(row.id) || { key: row.id, note: '', lines: [], updated: 0 };
+  const save = (patch)=>{
+    const e = current();
+    saveHymnNote(path, row, { note: e.note, lines: e.lines, ...patch }, e.key);
+  };
+
+  const render = ()=>{
+    const e = current();
+    const marked = new Set(e.lines);
+    const found = new Set();
+    for (const line of box.querySelectorAll('.lyric-line')){
+      const on = marked.has(line.dataset.fp);
+      if (on) found.add(line.dataset.fp);
+      line.classList.toggle('is-marked', on);
+      if (marking){
+        line.tabIndex = 0;
+        line.setAttribute('role', 'button');
+        line.setAttribute('aria-pressed', on ? 'true' : 'false');
+      } else {
+        line.removeAttribute('tabindex');
+        line.removeAttribute('role');
+        line.removeAttribute('aria-pressed');
+      }
+    }
+    box.classList.toggle('is-marking', marking);
+    const lost = e.lines.filter(fp=> !found.has(fp)).length;
+
+    panel.classList.toggle('has-note', !!e.note);
+    panel.innerHTML = html`
+      ${editing ? html`
+      <form class="note-form">
+        <label for="noteText" class="sr-only">Note</label>
+        <textarea id="noteText" rows="3" placeholder="Tune we use, verses we skip, the message it went with…">${escapeHTML(e.note)}</textarea>
+        <div class="note-actions">
+          <button type="submit">Save note</button>
+          <button type="button" data-act="cancel">Cancel</button>
+          ${e.note ? '<button type="button" data-act="delete">Delete note</button>' : ''}
+          <span class="muted">Kept in this browser only (and in backups).</span>
+        </div>
+      </form>` : e.note ? html`<p class="note-text">${escapeHTML(e.note)}</p>` : ''}
+      <div class="note-actions">
+        ${editing ? '' : html`<button type="button" data-act="edit">${e.note ? 'Edit note' : '✎ Add note'}</button>`}
+        <button type="button" data-act="mark" aria-pressed="${marking}">${marking ? 'Done highlighting' : 'Highlight lines'}</button>
+        ${marking ? '<span class="muted">Tap a line to highlight it or take the highlight off.</span>' : ''}
+        ${lost ? html`<span class="muted">${lost} highlighted line${lost === 1 ? ' is' : 's are'} no longer in this hymn's words.</span>
+        <button type="button" data-act="forget">Forget ${lost === 1 ? 'it' : 'them'}</button>` : ''}
+      </div>`;
+    if (editing) panel.querySelector('#noteText').focus();
+  };
+
+  panel.onclick = (ev)=>{
+    const act = ev.target.closest('button[data-act]')?.dataset.act;
+    if (act === 'edit'){ editing = true; render(); }
+    else if (act === 'cancel'){ editing = false; render(); }
+    else if (act === 'delete' && confirm('Delete the note on this hymn?')){ editing = false; save({ note: '' }); render(); }
+    else if (act === 'mark'){ marking = !marking; render(); }
+    else if (act === 'forget'){
+      const here = new Set([...box.querySelectorAll('.lyric-line')].map(l=> l.dataset.fp));
+      save({ lines: current().lines.filter(fp=> here.has(fp)) });
+      render();
+    }
+  };
+  panel.onsubmit = (ev)=>{
+    ev.preventDefault();
+    editing = false;
+    save({ note: panel.querySelector('#noteText').value });
+    render();
+  };
+
+  const toggle = (line)=>{
+    const lines = new Set(current().lines);
+    if (lines.has(line.dataset.fp)) lines.delete(line.dataset.fp); else lines.add(line.dataset.fp);
+    save({ lines: [...lines] });
+    render();
+    box.querySelector(`.lyric-line[data-fp="${line.dataset.fp}"]`)?.focus();
+  };
+  box.onclick = (ev)=>{
+    const line = marking && ev.target.closest('.lyric-line');
+    if (line) toggle(line);
+  };
+  box.onkeydown = (ev)=>{
+    const line = marking && ev.target.closest('.lyric-line');
+    if (line && (ev.key === 'Enter' || ev.key === ' ')){ ev.preventDefault(); toggle(line); }
+  };
+
+  render();
+}
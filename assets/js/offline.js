@@ -0,0 +1,208 @@
+// assets/js/offline.js — service worker registration and the "Offline books" screen
+import { html, escapeHTML, hashText } from './utils.js';
+
+const BOOKS_CACHE = 'hfg-books';     // same name in sw.js
+
+const status = new Map();            // path -> 'checking' | 'current' | 'changed' | 'error'
+const busy = new Set();              // paths being downloaded
+let bookUpdated = null;              // app.js's onBookUpdated(pathname)
+
+export function offlineSupported(){
+  return 'serviceWorker' in navigator && 'caches' in window && location.protocol !== 'file:';
+}
+
+/**
+ * Register sw.js; `onBookUpdated(pathname)` runs when it replaced a kept book with a newer copy,
+ * and when "Update" on the Offline books screen did.
+ */
+export function registerServiceWorker(onBookUpdated){
+  bookUpdated = onBookUpdated;
+  if (!offlineSupported()) return;
+  navigator.serviceWorker.register('sw.js').catch(err=> console.warn('Service worker registration failed', err));
+  navigator.serviceWorker.addEventListener('message', (e)=>{
+    if (e.data?.type === 'book-updated' && onBookUpdated) onBookUpdated(e.data.path);
+  });
+}
+
+function absolute(path){ return new URL(path, location.href).href; }
+
+export function formatBytes(n){
+  if (n == null || Number.isNaN(n)) return '—';
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(0)} KB`;
+  if (n < 1024 * 1024 * 1024) return `${(n / 1024 / 1024).toFixed(1)} MB`;
+  return `${(n / 1024 / 1024 / 1024).toFixed(1)} GB`;
+}
+
+async function saveBook(path){
+  const res = await fetch(absolute(path), { cache: 'no-store' });
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  const text = await res.text();
+  const cache = await caches.open(BOOKS_CACHE);
+  const old = await cache.match(absolute(path));
+  // Header names are shared with revalidateBook() in sw.js
+  await cache.put(absolute(path), new Response(text, { headers: {
+    'Content-Type': res.headers.get('Content-Type') || 'text/plain; charset=utf-8',
+    'x-hfg-hash': hashText(text),
+    'x-hfg-saved': new Date().toISOString(),
+    'x-hfg-etag': res.headers.get('ETag') || '',
+    'x-hfg-last-modified': res.headers.get('Last-Modified') || '',
+  }}));
+  status.set(path, 'current');
+  // A newer copy of a kept book: the parsed one in memory is stale, as after sw.js's "book-updated"
+  if (old && old.headers.get('x-hfg-hash') !== hashText(text)) bookUpdated?.(new URL(absolute(path)).pathname);
+  // Ask the browser not to evict kept books under storage pressure
+  navigator.storage?.persist?.().catch(()=>{});
+}
+
+async function removeBook(path){
+  const cache = await caches.open(BOOKS_CACHE);
+  await cache.delete(absolute(path));
+  status.delete(path);
+}
+
+async function checkBook(path){
+  const cache = await caches.open(BOOKS_CACHE);
+  const cached = await cache.match(absolute(path));
+  if (!cached) return;
+  const headers = {};
+  if (cached.headers.get('x-hfg-etag')) headers['If-None-Match'] = cached.headers.get('x-hfg-etag');
+  if (cached.headers.get('x-hfg-last-modified')) headers['If-Modified-Since'] = cached.headers.get('x-hfg-last-modified');
+  try{
+    const res = await fetch(absolute(path), { cache: 'no-store', headers });
+    if (res.status === 304){ status.set(path, 'current'); return; }
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const same = hashText(await res.text()) === cached.headers.get('x-hfg-hash');
+    status.set(path, same ? 'current' : 'changed');
+  }catch{
+    status.set(path, 'error');
+  }
+}
+
+async function bookInfo(path){
+  const cache = await caches.open(BOOKS_CACHE);
+  const hit = await cache.match(absolute(path));
+  if (hit) return { kept: true, size: (await hit.blob()).size, saved: hit.headers.get('x-hfg-saved') || '' };
+  // Not kept: the server can tell us how big it is without downloading it
+  try{
+    const res = await fetch(absolute(path), { method: 'HEAD', cache: 'no-store' });
+    const n = parseInt(res.headers.get('Content-Length') || '', 10);
+    return { kept: false, size: res.ok && n ? n : null, saved: '' };
+  }catch{
+    return { kept: false, size: null, saved: '' };
+  }
+}
+
+function statusText(path, info){
+  if (busy.has(path)) return 'Downloading…';
+  if (!info.kept) return 'Online only';
+  const saved = info.saved ? ` · saved ${new Date(info.saved).toLocaleDateString()}` : '';
+  switch (status.get(path)){
+    case 'checking': return `Checking…${saved}`;
+    case 'changed': return `Update available${saved}`;
+    case 'error': return `Couldn't check for updates${saved}`;
+    case 'current': return `Up to date${saved}`;
+    default: return `Offline${saved}`;
+  }
+}
+
+async function storageLine(){
+  if (!navigator.storage?.estimate) return '';
+  try{
+    const { usage, quota } = await navigator.storage.estimate();
+    const persisted = await navigator.storage.persisted?.();
+    return `Using ${formatBytes(usage)} of ${formatBytes(quota)} available on this device${persisted ? ' (kept safe from automatic clean-up)' : ''}.`;
+  }catch{ return ''; }
+}
+
+/** Render the "Offline books" screen for config.json's datasets into `el`. */
+export async function showOfflinePage(el, datasets){
+  if (!offlineSupported()){
+    el.innerHTML = html`
+      <h1>Offline books</h1>
+      <p>Offline use needs a browser with service workers, and the site opened over http(s)${location.protocol === 'file:' ? ' rather than from a file' : ''}.</p>`;
+    return;
+  }
+
+  let lastError = '';
+  let infos = [];
+  // Only `paths` are looked up again (all of them when not given): a book not kept costs a HEAD request
+  const render = async (paths)=>{
+    infos = await Promise.all(datasets.map((d, i)=> !infos[i] || !paths || paths.includes(d.path) ? bookInfo(d.path) : infos[i]));
+    const keptBytes = infos.reduce((n, x)=> n + (x.kept ? x.size || 0 : 0), 0);
+    const keptCount = infos.filter(x=> x.kept).length;
+    const ready = !!navigator.serviceWorker.controller;
+    el.innerHTML = html`
+      <h1>Offline books</h1>
+      <p class="muted">${ready ? 'The app itself is saved for offline use.' : 'Offline support is being set up; reload once to finish.'}
+        ${escapeHTML(await storageLine())}</p>
+      <p class="muted">${keptCount} of ${datasets.length} books kept offline (${formatBytes(keptBytes)}).</p>
+      <div class="page-actions">
+        <button type="button" data-act="keep-all">Keep all offline</button>
+        <button type="button" data-act="check" ${keptCount ? '' : 'disabled'}>Check for updates</button>
+      </div>
+      <table class="offline-table">
+        <thead><tr><th>Book</th><th>Size</th><th>Status</th><th></th></tr></thead>
+        <tbody>
+          ${datasets.map((d, i)=>{
+            const info = infos[i];
+            const changed = status.get(d.path) === 'changed';
+            return html`
+            <tr class="${info.kept ? 'kept' : ''}">
+              <td>${escapeHTML(d.name || d.path)}</td>
+              <td class="num">${formatBytes(info.size)}</td>
+              <td>${escapeHTML(statusText(d.path, info))}</td>
+              <td class="actions">
+                ${changed ? html`<button type="button" data-act="keep" data-i="${i}">Update</button>` : ''}
+                ${info.kept
+                  ? html`<button type="button" data-act="remove" data-i="${i}">Remove</button>`
+                  : html`<button type="button" data-act="keep" data-i="${i}" ${busy.has(d.path) ? 'disabled' : ''}>Keep offline</button>`}
+              </td>
+            </tr>`;
+          }).join('')}
+        </tbody>
+      </table>
+      <p class="muted" role="status">${escapeHTML(lastError)}</p>`;
+  };
+
+  const fail = (d, err)=>{ lastError = `Couldn't download ${d.name || d.path}: ${err.message}`; };
+
+  el.onclick = async (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const act = btn.dataset.act;
+    const d = datasets[parseInt(btn.dataset.i, 10)];
+    btn.disabled = true;
+    lastError = '';
+
+    let changed = [];
+    if (act === 'keep' && d){
+      busy.add(d.path);
+      await render([]);
+      try{ await saveBook(d.path); }
+      catch(err){ fail(d, err); }
+      busy.delete(d.path);
+      changed = [d.path];
+    } else if (act === 'remove' && d){
+      await removeBook(d.path);
+      changed = [d.path];
+    } else if (act === 'keep-all'){
+      datasets.forEach((x, i)=>{ if (!infos[i]?.kept) busy.add(x.path); });
+      await render([]);
+      for (const x of datasets.filter(x=> busy.has(x.path))){
+        try{ await saveBook(x.path); }
+        catch(err){ fail(x, err); }
+        busy.delete(x.path);
+        await render([x.path]);
+      }
+    } else if (act === 'check'){
+      const kept = datasets.filter((x, i)=> infos[i]?.kept).map(x=> x.path);
+      for (const p of kept) status.set(p, 'checking');
+      await render([]);
+      await Promise.all(kept.map(p=> checkBook(p)));
+    }
+    await render(changed);
+  };
+
+  await render();
+}
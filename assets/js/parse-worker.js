@@ -0,0 +1,11 @@
+// assets/js/parse-worker.js — parses a hymnal and builds its search index off the main thread
+import { parseBook } from './bookstore.js';
+
+self.onmessage = (e)=>{
+  const { id, text } = e.data || {};
+  try{
+    self.postMessage({ id, book: parseBook(text) });
+  }catch(err){
+    self.postMessage({ id, error: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,99 @@
+// assets/js/player.js — plays a parsed ABC tune (see abc.js) with plain Web Audio oscillators
+import { voiceTimeline, wholeNoteSeconds } from './abc.js';
+
+const LEAD = 0.08;          // seconds between pressing Play and the first note
+
+export class TunePlayer {
+  constructor(){
+    this.ctx = null;
+    this.master = null;
+    this.timers = [];
+    this.playing = false;
+    this.loop = false;
+    this.onNote = null;     // (voiceIndex, eventIndex) => void
+    this.onEnd = null;
+  }
+
+  _context(){
+    if (this.ctx) return this.ctx;
+    const AC = window.AudioContext || window.webkitAudioContext;
+    if (!AC) throw new Error('This browser cannot play audio (no Web Audio support).');
+    this.ctx = new AC();
+    return this.ctx;
+  }
+
+  play(tune, { bpm } = {}){
+    this.stop();
+    const ctx = this._context();
+    if (ctx.state === 'suspended') ctx.resume();
+
+    const whole = wholeNoteSeconds(tune, bpm);
+    const lines = tune.voices.map(v=> voiceTimeline(v));
+    const eventIndex = tune.voices.map(v=> new Map(v.events.map((e, i)=> [e, i])));
+    const length = Math.max(0, ...lines.map(l=> l.length)) * whole;
+    if (!length) return;
+
+    const master = ctx.createGain();
+    master.gain.value = 0.2;
+    master.connect(ctx.destination);
+    this.master = master;
+    this.playing = true;
+
+    const verse = (start)=>{
+      lines.forEach((tl, vi)=>{
+        const vol = vi === 0 ? 1 : 0.55;            // keep the melody on top
+        for (const n of tl.notes){
+          const at = start + n.t * whole;
+          for (const midi of n.midis) this._tone(at, n.dur * whole, midi, vol);
+          if (this.onNote){
+            const ei = eventIndex[vi].get(n.ev);
+            this._later(at, ()=> this.onNote && this.onNote(vi, ei));
+          }
+        }
+      });
+      this._later(start + length, ()=>{
+        if (!this.playing) return;
+        if (this.loop) verse(start + length);
+        else { this.stop(); this.onEnd && this.onEnd(); }
+      });
+    };
+    verse(ctx.currentTime + LEAD);
+  }
+
+  stop(){
+    for (const t of this.timers) clearTimeout(t);
+    this.timers = [];
+    if (this.master){
+      const m = this.master;
+      try{
+        m.gain.cancelScheduledValues(this.ctx.currentTime);
+        m.gain.setValueAtTime(0, this.ctx.currentTime);
+      }catch{ /* ignore */ }
+      setTimeout(()=> m.disconnect(), 50);
+      this.master = null;
+    }
+    this.playing = false;
+  }
+
+  _later(at, fn){
+    const ms = Math.max(0, (at - this.ctx.currentTime) * 1000);
+    this.timers.push(setTimeout(fn, ms));
+  }
+
+  _tone(at, dur, midi, vol){
+    const ctx = this.ctx;
+    const osc = ctx.createOscillator();
+    const env = ctx.createGain();
+    osc.type = 'triangle';
+    osc.frequency.value = 440 * Math.pow(2, (midi - 69) / 12);
+    const end = at + Math.max(0.05, dur - 0.02);
+    env.gain.setValueAtTime(0, at);
+    env.gain.linearRampToValueAtTime(vol, at + 0.015);
+    env.gain.setTargetAtTime(vol * 0.6, at + 0.03, 0.25);
+    env.gain.setTargetAtTime(0, end, 0.03);
+    osc.connect(env);
+    env.connect(this.master);
+    osc.start(at);
+    osc.stop(end + 0.2);
+  }
+}
@@ -0,0 +1,253 @@
+// assets/js/presenter.js — projector slides and the operator screen (#/present/<slug>/<id>)
+//
+// A hymn becomes a deck of slides: a title slide, then one slide per stanza or chorus,
+// with the chorus repeated after every verse that the book doesn't follow with one.
+// The operator screen and the projector window (present.html, assets/js/projector.js)
+// share the same state over a BroadcastChannel:
+//   { type: 'state', deck: { title, book, slides }, index, mode: '' | 'black' | 'blank' }
+//   { type: 'hello' }  a window just opened; whoever has a deck answers with 'state'
+// Messages always carry the whole state, so either window can navigate and the last move wins.
+import { html, escapeHTML } from './utils.js';
+import { recordOpen } from './recent.js';
+
+export const CHANNEL = 'hfg-present';
+const REPEAT_KEY = 'present_repeatChorus';
+
+/**
+ * Slides for a hymn row: [{ kind: 'title' | 'verse' | 'chorus', label, html }].
+ * Built from row._raw.lyricsHtml (the .stanza / .chorus blocks of buildLyricsHtml).
+ */
+export function buildSlides(row, { repeatChorus = true, book = '' } = {}){
+  const blocks = [];
+  const tpl = document.createElement('template');
+  tpl.innerHTML = row._raw?.lyricsHtml || '';
+
+  for (const div of tpl.content.children){
+    if (!div.matches('.stanza, .chorus')) continue;
+    // BHB writes a chorus it added to a verse as <div class="addedChorus"> inside the stanza
+    const added = [...div.querySelectorAll('.addedChorus')];
+    for (const a of added) a.remove();
+    const body = trimBreaks(div.innerHTML);
+    if (body) blocks.push({ chorus: div.classList.contains('chorus'), html: body });
+    for (const a of added){
+      const body = trimBreaks(a.innerHTML.replace(/^\s*\[optional chorus\]\s*(<br>)?/i, ''));
+      if (body) blocks.push({ chorus: true, added: true, html: body });
+    }
+  }
+
+  const slides = [{ kind: 'title', label: 'Title', html: html`<span class="slide-no">${escapeHTML(row.number || '')}</span>${escapeHTML(row.title || '')}${book ? html`<small>${escapeHTML(book)}</small>` : ''}` }];
+  let verse = 0;
+  // A chorus BHB added after the last verse is sung after every verse
+  let chorus = blocks.find(b=> b.added) || null;
+  blocks.forEach((b, i)=>{
+    if (b.chorus){
+      chorus = b;
+      slides.push({ kind: 'chorus', label: 'Chorus', html: b.html });
+      return;
+    }
+    slides.push({ kind: 'verse', label: `Verse ${++verse}`, html: b.html });
+    // The book prints the chorus once; sing it after the later verses too
+    if (repeatChorus && chorus && !blocks[i + 1]?.chorus) slides.push({ kind: 'chorus', label: 'Chorus', html: chorus.html, repeat: true });
+  });
+  return slides;
+}
+
+function trimBreaks(s){
+  return s.replace(/^(\s|<br\s*\/?>)+|(\s|<br\s*\/?>)+$/gi, '');
+}
+
+/** Largest font size (px) at which `inner` fits inside `box`; long lines wrap only as a last resort. */
+export function fitText(box, inner, { min = 14, max = 160 } = {}){
+  const fits = ()=> inner.scrollWidth <= box.clientWidth && inner.scrollHeight <= box.clientHeight;
+  const search = ()=>{
+    let lo = min, hi = max;
+    while (hi - lo > 1){
+      const mid = Math.floor((lo + hi) / 2);
+      inner.style.fontSize = `${mid}px`;
+      if (fits()) lo = mid; else hi = mid;
+    }
+    inner.style.fontSize = `${lo}px`;
+    return lo;
+  };
+  inner.style.whiteSpace = 'nowrap';
+  const size = search();
+  if (size > min * 2) return size;
+  inner.style.whiteSpace = 'normal';
+  return search();
+}
+
+/** Key -> action, shared by both windows. Presentation clickers send PageUp/PageDown and "b"/".". */
+export function keyAction(e){
+  if (e.ctrlKey || e.metaKey || e.altKey) return null;
+  if (/^(INPUT|SELECT|TEXTAREA)$/.test(e.target?.tagName || '')) return null;
+  if ((e.key === ' ' || e.key === 'Enter') && e.target?.closest?.('button, a')) return null;
+  switch (e.key){
+    case 'ArrowRight': case 'ArrowDown': case 'PageDown': case ' ': case 'Enter': case 'n': return 'next';
+    case 'ArrowLeft': case 'ArrowUp': case 'PageUp': case 'Backspace': case 'p': return 'prev';
+    case 'Home': return 'first';
+    case 'End': return 'last';
+    case 'b': case 'B': case '.': return 'black';
+    case 'w': case 'W': case ',': return 'blank';
+    default: return null;
+  }
+}
+
+/** Apply an action to { deck, index, mode }; returns the new state. */
+export function step(s, action){
+  const last = Math.max(0, (s.deck?.slides.length || 1) - 1);
+  switch (action){
+    case 'next': return { ...s, index: Math.min(last, s.index + 1), mode: '' };
+    case 'prev': return { ...s, index: Math.max(0, s.index - 1), mode: '' };
+    case 'first': return { ...s, index: 0, mode: '' };
+    case 'last': return { ...s, index: last, mode: '' };
+    case 'black': return { ...s, mode: s.mode === 'black' ? '' : 'black' };
+    case 'blank': return { ...s, mode: s.mode === 'blank' ? '' : 'blank' };
+    default: return s;
+  }
+}
+
+/** Render one slide into a .slide element and fit it. */
+export function drawSlide(box, slide){
+  box.className = `slide ${slide ? `slide-${slide.kind}` : 'slide-empty'}`;
+  box.innerHTML = `<div class="slide-text">${slide ? slide.html : ''}</div>`;
+  if (slide) fitText(box, box.firstElementChild, { max: Math.max(24, Math.round(box.clientHeight / 4)) });
+}
+
+// Operator screen ------------------------------------------------------------------
+
+let op = null;        // { el, channel, state, row, book } while the operator screen is open
+
+function repeatChorus(){ return localStorage.getItem(REPEAT_KEY) !== '0'; }
+
+function broadcast(){
+  op?.channel?.postMessage({ type: 'state', deck: op.state.deck, index: op.state.index, mode: op.state.mode });
+}
+
+function setState(next){
+  op.state = next;
+  broadcast();
+  drawOperator();
+}
+
+function drawOperator(){
+  const { el, state } = op;
+  const { slides } = state.deck;
+  const modeLabel = state.mode === 'black' ? 'Screen is black' : state.mode === 'blank' ? 'Screen is blank' : '';
+  el.querySelector('#presNowLabel').textContent = `Now: ${slides[state.index]?.label || ''}${modeLabel ? ` — ${modeLabel}` : ''}`;
+  el.querySelector('#presNextLabel').textContent = slides[state.index + 1] ? `Next: ${slides[state.index + 1].label}` : 'Next: (end)';
+  const now = el.querySelector('#presNow');
+  now.classList.toggle('is-black', state.mode === 'black');
+  now.classList.toggle('is-blank', state.mode === 'blank');
+  drawSlide(now, slides[state.index]);
+  drawSlide(el.querySelector('#presNext'), slides[state.index + 1] || null);
+  el.querySelector('[data-act="black"]').setAttribute('aria-pressed', String(state.mode === 'black'));
+  el.querySelector('[data-act="blank"]').setAttribute('aria-pressed', String(state.mode === 'blank'));
+  for (const li of el.querySelectorAll('#presSlides li')){
+    li.classList.toggle('current', parseInt(li.dataset.i, 10) === state.index);
+  }
+}
+
+function makeDeck(){
+  const slides = buildSlides(op.row, { repeatChorus: repeatChorus(), book: op.book });
+  return { title: `${op.row.number}. ${op.row.title}`, book: op.book, slides };
+}
+
+function openProjector(){
+  const w = window.open('present.html', 'hfg-projector', 'popup,width=960,height=540');
+  if (!w) op.el.querySelector('#presStatus').textContent = 'The browser blocked the projector window; allow pop-ups for this site.';
+  // The window says hello when it loads; a window that was already open gets the state now
+  broadcast();
+}
+
+addEventListener('keydown', (e)=>{
+  if (!op || !op.el.isConnected || !location.hash.startsWith('#/present/')) return;
+  const action = keyAction(e);
+  if (!action) return;
+  e.preventDefault();
+  setState(step(op.state, action));
+});
+
+addEventListener('resize', ()=>{
+  if (op && location.hash.startsWith('#/present/')) drawOperator();
+});
+
+/**
+ * Operator screen for one hymn (#/present/<slug>/<id>).
+ * `ctx`: { datasets, loadBook(i) -> Promise<{ rows }> }.
+ */
+export async function showPresenterPage(el, ds, id, ctx){
+  op?.channel?.close();
+  op = null;
+  const book = await ctx.loadBook(ds).catch(()=> null);
+  const row = book?.rows.find(r=> r.id === id);
+  if (!row){
+    el.innerHTML = html`<h1>Hymn not found</h1>`;
+    return;
+  }
+  recordOpen(ctx.datasets[ds].path, row.id, 'present');
+
+  const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL) : null;
+  op = { el, channel, row, book: ctx.datasets[ds]?.name || ctx.datasets[ds]?.path || '', state: null };
+  op.state = { deck: makeDeck(), index: 0, mode: '' };
+
+  el.innerHTML = html`
+    <h1>${escapeHTML(op.state.deck.title)}</h1>
+    <div class="page-actions">
+      <button type="button" data-act="open" ${channel ? '' : 'disabled'}>Open projector window</button>
+      <button type="button" data-act="prev" aria-label="Previous slide">◀ Prev</button>
+      <button type="button" data-act="next" aria-label="Next slide">Next ▶</button>
+      <button type="button" data-act="black" aria-pressed="false" title="Black screen (B)">Black</button>
+      <button type="button" data-act="blank" aria-pressed="false" title="Blank screen, no words (W)">Blank</button>
+      <label><input type="checkbox" id="presRepeat" ${repeatChorus() ? 'checked' : ''}> Repeat chorus after each verse</label>
+    </div>
+    <p class="muted" id="presStatus" role="status">${channel
+      ? 'Open the projector window, drag it to the projector and press F for full screen. Arrow keys, Page Up/Down (clickers), B and W work in either window.'
+      : 'This browser can’t link two windows (no BroadcastChannel).'}</p>
+    <div class="pres-previews">
+      <figure><figcaption id="presNowLabel"></figcaption><div class="slide" id="presNow"></div></figure>
+      <figure><figcaption id="presNextLabel"></figcaption><div class="slide" id="presNext"></div></figure>
+    </div>
+    <ol class="pres-slides" id="presSlides"></ol>`;
+
+  const drawList = ()=>{
+    el.querySelector('#presSlides').innerHTML = op.state.deck.slides.map((s, i)=> html`
+      <li data-i="${i}"><button type="button" data-act="go" data-i="${i}">
+        <strong>${escapeHTML(s.label)}</strong>
+        <span class="muted">${escapeHTML(s.html.replace(/<br\s*\/?>/gi, ' / ').replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 80))}</span>
+      </button></li>`).join('');
+  };
+  drawList();
+
+  el.onclick = (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const act = btn.dataset.act;
+    if (act === 'open') openProjector();
+    else if (act === 'go') setState({ ...op.state, index: parseInt(btn.dataset.i, 10), mode: '' });
+    else setState(step(op.state, act));
+  };
+  el.onchange = (e)=>{
+    if (e.target.id !== 'presRepeat') return;
+    localStorage.setItem(REPEAT_KEY, e.target.checked ? '1' : '0');
+    const deck = makeDeck();
+    op.state = { ...op.state, deck, index: Math.min(op.state.index, deck.slides.length - 1) };
+    drawList();
+    setState(op.state);
+  };
+  el.onsubmit = null;
+
+  if (channel){
+    channel.onmessage = (e)=>{
+      const m = e.data || {};
+      if (m.type === 'hello') broadcast();
+      else if (m.type === 'state' && m.deck && op){
+        // The projector window moved (keyboard or clicker plugged into that machine)
+        op.state = { deck: op.state.deck, index: m.index, mode: m.mode };
+        drawOperator();
+      }
+    };
+  }
+
+  drawOperator();
+  broadcast();
+}
@@ -0,0 +1,58 @@
+// assets/js/projector.js — the projector window (present.html)
+//
+// Shows the slide the operator screen (assets/js/presenter.js) picked. Keys and clicker
+// buttons work here too, and the move is sent back so the operator screen follows.
+import { $ } from './utils.js';
+import { CHANNEL, keyAction, step, drawSlide } from './presenter.js';
+
+let state = { deck: null, index: 0, mode: '' };
+const channel = 'BroadcastChannel' in window ? new BroadcastChannel(CHANNEL) : null;
+
+function draw(){
+  const box = $('#slide');
+  document.body.classList.toggle('is-black', state.mode === 'black');
+  document.body.classList.toggle('is-blank', state.mode === 'blank');
+  if (!state.deck){
+    box.className = 'slide slide-empty';
+    box.innerHTML = '<div class="slide-text">Waiting for the operator window…</div>';
+    return;
+  }
+  document.title = `${state.deck.title} — Projector`;
+  drawSlide(box, state.mode ? null : state.deck.slides[state.index]);
+}
+
+function move(action){
+  if (!state.deck) return;
+  state = step(state, action);
+  channel?.postMessage({ type: 'state', ...state });
+  draw();
+}
+
+function toggleFullscreen(){
+  if (document.fullscreenElement) document.exitFullscreen?.();
+  else document.documentElement.requestFullscreen?.().catch(()=>{});
+}
+
+if (channel){
+  channel.onmessage = (e)=>{
+    const m = e.data || {};
+    if (m.type === 'state' && m.deck){
+      state = { deck: m.deck, index: m.index, mode: m.mode };
+      draw();
+    }
+  };
+  channel.postMessage({ type: 'hello' });
+}
+
+addEventListener('keydown', (e)=>{
+  if (e.key === 'f' || e.key === 'F'){ toggleFullscreen(); return; }
+  const action = keyAction(e);
+  if (!action) return;
+  e.preventDefault();
+  move(action);
+});
+addEventListener('click', ()=> move('next'));
+addEventListener('contextmenu', (e)=>{ e.preventDefault(); move('prev'); });
+addEventListener('resize', draw);
+
+draw();
@@ -0,0 +1,155 @@
+// assets/js/reader.js — reader settings for the hymn view (the "Aa" panel)
+//
+// Look (size, spacing, typeface, theme, contrast) is CSS: variables and data-* attributes on
+// <html>, so the list and Print follow too. Structure (verse numbers, chorus after every verse,
+// hiding the meta block) is applied to the rendered lyrics by decorateLyrics(), and
+// lyricsText() reads that same DOM back so Copy gives what is on screen.
+// Each setting is its own localStorage key (reader_*), listed in backup.js's settings.
+import { html, decodeEntities } from './utils.js';
+import { stripTags } from './hymnal.js';
+
+const DEFAULTS = {
+  size: '100',           // % of the normal lyrics size
+  spacing: 'normal',     // compact | normal | relaxed
+  font: 'sans',          // sans | serif
+  theme: 'auto',         // auto | light | dark
+  contrast: '0',
+  verseNumbers: '0',
+  repeatChorus: '0',
+  hideMeta: '0',
+};
+
+export const READER_KEYS = Object.keys(DEFAULTS).map(k=> `reader_${k}`);
+
+const SIZES = ['80', '90', '100', '115', '130', '150', '175', '200', '250'];
+const LEADING = { compact: '1.5', normal: '1.85', relaxed: '2.2' };
+
+export function readerSettings(){
+  const out = {};
+  for (const [k, v] of Object.entries(DEFAULTS)) out[k] = localStorage.getItem(`reader_${k}`) ?? v;
+  if (!SIZES.includes(out.size)) out.size = DEFAULTS.size;
+  return out;
+}
+
+function save(key, value){
+  if (value === DEFAULTS[key]) localStorage.removeItem(`reader_${key}`);
+  else localStorage.setItem(`reader_${key}`, value);
+}
+
+/** Put the look settings on <html>; call at start-up and after every change. */
+export function applyReaderSettings(s = readerSettings()){
+  const root = document.documentElement;
+  root.dataset.theme = s.theme;
+  root.dataset.contrast = s.contrast === '1' ? 'high' : 'normal';
+  root.dataset.font = s.font;
+  root.style.setProperty('--reader-size', `${1.05 * Number(s.size) / 100}rem`);
+  root.style.setProperty('--reader-leading', LEADING[s.spacing] || LEADING.normal);
+}
+
+/**
+ * Apply the structural settings to freshly rendered lyrics (`box` holds buildLyricsHtml's
+ * blocks) and the hymn's <article>.
+ */
+export function decorateLyrics(box, article, s = readerSettings()){
+  box.classList.toggle('verse-numbers', s.verseNumbers === '1');
+  article.classList.toggle('hide-meta', s.hideMeta === '1');
+  if (s.repeatChorus === '1') repeatChoruses(box);
+}
+
+/**
+ * Print the chorus again after every verse that the book doesn't follow with one
+ * (same rule as the projector slides in presenter.js).
+ */
+function repeatChoruses(box){
+  const blocks = [...box.children].filter(d=> d.matches('.stanza, .chorus'));
+  // A chorus BHB added to the last verse is sung after every verse
+  let chorus = box.querySelector('.addedChorus');
+  blocks.forEach((b, i)=>{
+    if (b.matches('.chorus')){ chorus = b; return; }
+    if (!chorus || blocks[i + 1]?.matches('.chorus') || b.contains(chorus)) return;
+    const copy = document.createElement('div');
+    copy.className = 'chorus chorus-repeat';
+    copy.innerHTML = chorus.innerHTML.replace(/^\s*\[optional chorus\]\s*(<br>)?/i, '');
+    b.after(copy);
+  });
+}
+
+const blockText = (el)=> decodeEntities(stripTags(el.innerHTML.replace(/<br\s*\/?>/gi, '\n'))).trim();
+
+/** The lyrics as shown (repeated choruses, verse numbers) as plain text for Copy. */
+export function lyricsText(box, s = readerSettings()){
+  const out = [];
+  let verse = 0;
+  for (const b of box.children){
+    if (!b.matches('.stanza, .chorus')) continue;
+    const added = [...b.querySelectorAll('.addedChorus')];
+    const clone = b.cloneNode(true);
+    for (const a of clone.querySelectorAll('.addedChorus')) a.remove();
+    const text = blockText(clone);
+    if (b.matches('.chorus')) out.push(`Chorus:\n${text}`);
+    else out.push(s.verseNumbers === '1' ? `${++verse}. ${text}` : text);
+    for (const a of added) out.push(`Chorus:\n${blockText(a).replace(/^\[optional chorus\]\s*/i, '')}`);
+  }
+  return out.join('\n\n');
+}
+
+/**
+ * Fill the settings panel and keep it live; `onChange(settings)` re-renders the hymn.
+ */
+export function setupReaderPanel(panel, onChange){
+  const render = ()=>{
+    const s = readerSettings();
+    const pick = (name, options)=> html`<select name="${name}">${options.map(([v, label])=>
+      html`<option value="${v}"${s[name] === v ? ' selected' : ''}>${label}</option>`).join('')}</select>`;
+    const tick = (name, label)=> html`<label><input type="checkbox" name="${name}"${s[name] === '1' ? ' checked' : ''}> ${label}</label>`;
+    panel.innerHTML = html`
+      <div class="reader-row">
+        <span>Text size</span>
+        <button type="button" data-size="-1" aria-label="Smaller text">A−</button>
+        <output>${s.size}%</output>
+        <button type="button" data-size="1" aria-label="Larger text">A+</button>
+      </div>
+      <div class="reader-row">
+        <label>Spacing ${pick('spacing', [['compact', 'Compact'], ['normal', 'Normal'], ['relaxed', 'Relaxed']])}</label>
+        <label>Typeface ${pick('font', [['sans', 'Sans-serif'], ['serif', 'Serif']])}</label>
+        <label>Theme ${pick('theme', [['auto', 'Same as device'], ['light', 'Light'], ['dark', 'Dark']])}</label>
+      </div>
+      <div class="reader-row">
+        ${tick('contrast', 'High contrast')}
+        ${tick('verseNumbers', 'Verse numbers')}
+        ${tick('repeatChorus', 'Chorus after every verse')}
+        ${tick('hideMeta', 'Hide author, tune and meter')}
+      </div>
+      <div class="reader-row">
+        <button type="button" data-reset>Reset</button>
+        <span class="muted">Also used for Copy and Print.</span>
+      </div>`;
+  };
+
+  const changed = ()=>{
+    const s = readerSettings();
+    applyReaderSettings(s);
+    render();
+    onChange(s);
+  };
+
+  panel.addEventListener('change', (e)=>{
+    const { name, type, checked, value } = e.target;
+    if (!(name in DEFAULTS)) return;
+    save(name, type === 'checkbox' ? (checked ? '1' : '0') : value);
+    changed();
+  });
+  panel.addEventListener('click', (e)=>{
+    const step = e.target.closest('[data-size]');
+    if (step){
+      const i = SIZES.indexOf(readerSettings().size) + Number(step.dataset.size);
+      if (i < 0 || i >= SIZES.length) return;
+      save('size', SIZES[i]);
+      changed();
+    } else if (e.target.closest('[data-reset]')){
+      for (const k of Object.keys(DEFAULTS)) save(k, DEFAULTS[k]);
+      changed();
+    }
+  });
+  render();
+}
@@ -0,0 +1,240 @@
+// assets/js/recent.js — history of hymns opened (#/recent) and "most sung" counts (#/stats)
+//
+// Stored in localStorage under "recent" as
+//   [{ path, id, at: ms timestamp, how: 'view' | 'present' }], oldest first
+// app.js records a hymn when its page opens and presenter.js when it goes on the projector.
+// Opening the same hymn the same way again within REPEAT_MS is one occasion, not two, so
+// paging back and forth during a meeting doesn't inflate the counts.
+import { html, escapeHTML, download } from './utils.js';
+
+const KEY = 'recent';
+const MAX = 5000;
+const REPEAT_MS = 30 * 60 * 1000;
+const PAGE = 200;                      // history entries shown before "Show more"
+const DAY = 24 * 60 * 60 * 1000;
+
+export function loadRecent(){
+  try{
+    const list = JSON.parse(localStorage.getItem(KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  }catch{ return []; }
+}
+
+export function saveRecent(list){
+  if (list.length) localStorage.setItem(KEY, JSON.stringify(list.slice(-MAX)));
+  else localStorage.removeItem(KEY);
+}
+
+/** Note that hymn `id` of book `path` was opened; `how` is 'view' or 'present'. */
+export function recordOpen(path, id, how = 'view'){
+  const list = loadRecent();
+  const now = Date.now();
+  const again = list.findLast(e=> now - e.at < REPEAT_MS && e.path === path && e.id === id && e.how === how);
+  if (again) return;
+  list.push({ path, id: String(id), at: now, how });
+  saveRecent(list);
+}
+
+const pad = (n)=> String(n).padStart(2, '0');
+const isoDate = (d)=> `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+const dayStart = (iso)=> new Date(`${iso}T00:00:00`).getTime();
+
+/**
+ * Times each hymn of book `path` ('' = every book) was opened between the dates `from` and `to`
+ * (YYYY-MM-DD, both included): [{ path, id, times, presented, last }], most opened first.
+ * `presentedOnly` counts the projector only.
+ */
+export function mostSung(list, { path = '', from, to, presentedOnly = false }){
+  const start = from ? dayStart(from) : -Infinity;
+  const end = to ? dayStart(to) + DAY : Infinity;
+  const counts = new Map();
+  for (const e of list){
+    if (e.at < start || e.at >= end || (path && e.path !== path)) continue;
+    if (presentedOnly && e.how !== 'present') continue;
+    const k = `${e.path}\n${e.id}`;
+    if (!counts.has(k)) counts.set(k, { path: e.path, id: e.id, times: 0, presented: 0, last: 0 });
+    const c = counts.get(k);
+    c.times++;
+    if (e.how === 'present') c.presented++;
+    c.last = Math.max(c.last, e.at);
+  }
+  return [...counts.values()].sort((a, b)=> b.times - a.times || b.last - a.last);
+}
+
+const csvCell = (v)=> /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+/**
+ * Hymn names for the pages: loads each book mentioned in `list`, calling `done` as they arrive.
+ * ready(list) resolves once they have all loaded or failed.
+ */
+function bookLoader(ctx, done){
+  const books = new Map();            // path -> book, or null when it can't load
+  const loading = new Map();          // path -> promise of the load
+  const load = (list)=>{
+    for (const path of new Set(list.map(e=> e.path))){
+      const i = ctx.datasets.findIndex(d=> d.path === path);
+      if (books.has(path)) continue;
+      if (i < 0){ books.set(path, null); continue; }
+      books.set(path, undefined);
+      loading.set(path, ctx.loadBook(i).then(b=> books.set(path, b), ()=> books.set(path, null)).then(done));
+    }
+  };
+  const ready = (list)=>{
+    load(list);
+    return Promise.all([...new Set(list.map(e=> e.path))].map(path=> loading.get(path)));
+  };
+  const describe = (e)=>{
+    const i = ctx.datasets.findIndex(d=> d.path === e.path);
+    const book = books.get(e.path);
+    const row = book?.rows.find(r=> r.id === e.id);
+    return {
+      book: i >= 0 ? ctx.datasets[i].name || e.path : e.path,
+      number: row?.number || e.id,
+      title: book === undefined ? 'Loading…' : row ? row.title : book ? 'No longer in this book' : 'Book not on this device',
+      href: i >= 0 && row ? ctx.hymnHref(i, row.id) : '',
+      found: !!row,
+    };
+  };
+  return { load, ready, describe };
+}
+
+/**
+ * "Recent" screen (#/recent): everything opened, newest first, by day.
+ * `ctx`: { datasets, loadBook(i), hymnHref(ds, id) }.
+ */
+export function showRecentPage(el, ctx){
+  const here = location.hash;
+  let shown = PAGE;
+  const names = bookLoader(ctx, ()=>{ if (location.hash === here) render(); });
+
+  const render = ()=>{
+    const list = loadRecent();
+    const recent = list.map((e, i)=> ({ ...e, i })).reverse().slice(0, shown);
+    names.load(recent);
+    let day = '';
+    const items = [];
+    for (const e of recent){
+      const d = new Date(e.at);
+      if (isoDate(d) !== day){
+        day = isoDate(d);
+        items.push(html`<li class="recent-day" role="presentation">${escapeHTML(d.toLocaleDateString(undefined, { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }))}</li>`);
+      }
+      const x = names.describe(e);
+      items.push(html`
+        <li>
+          <span class="muted recent-time">${escapeHTML(d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' }))}</span>
+          <span class="recent-main">
+            ${x.href ? html`<a href="${x.href}">${escapeHTML(x.title)}</a>` : escapeHTML(x.title)}
+            <span class="muted">${escapeHTML(x.book)} #${escapeHTML(x.number)}${e.how === 'present' ? ' · presented' : ''}</span>
+          </span>
+          <button type="button" data-remove="${e.i}" aria-label="Remove from history">✕</button>
+        </li>`);
+    }
+    el.innerHTML = html`
+      <h1>Recent</h1>
+      <p class="muted">Hymns opened in this browser, newest first. <a href="#/stats">Most sung</a> counts them by book.</p>
+      ${list.length ? html`
+      <div class="page-actions"><button type="button" data-act="clear">Clear history</button></div>
+      <ul class="recent-list">${items.join('')}</ul>
+      ${list.length > shown ? html`<button type="button" data-act="more">Show more (${list.length - shown} older)</button>` : ''}`
+      : '<p class="muted">Nothing yet. Hymns you open appear here.</p>'}`;
+  };
+
+  el.onclick = (e)=>{
+    const remove = e.target.closest('button[data-remove]');
+    if (remove){
+      const list = loadRecent();
+      list.splice(parseInt(remove.dataset.remove, 10), 1);
+      saveRecent(list);
+      render();
+      return;
+    }
+    const act = e.target.closest('button[data-act]')?.dataset.act;
+    if (act === 'more'){ shown += PAGE; render(); }
+    else if (act === 'clear' && confirm('Clear the whole history? The “Most sung” counts go with it.')){ saveRecent([]); render(); }
+  };
+
+  render();
+}
+
+/**
+ * "Most sung" screen (#/stats): how often each hymn of a book was opened or presented over a
+ * date range, as a list and as CSV. Starts on book `ds` (all books when there is no such book).
+ * `ctx`: { datasets, loadBook(i), hymnHref(ds, id) }.
+ */
+export function showStatsPage(el, ds, ctx){
+  const here = location.hash;
+  const today = new Date();
+  const form = {
+    path: ctx.datasets[ds]?.path || '',
+    from: isoDate(new Date(today.getFullYear(), today.getMonth() - 3, today.getDate())),
+    to: isoDate(today),
+    presentedOnly: false,
+  };
+  const names = bookLoader(ctx, ()=>{ if (location.hash === here) render(); });
+
+  const rows = ()=> mostSung(loadRecent(), form);
+
+  const render = ()=>{
+    const list = rows();
+    names.load(list);
+    const total = list.reduce((n, r)=> n + r.times, 0);
+    el.innerHTML = html`
+      <h1>Most sung</h1>
+      <form class="stats-form" id="statsForm">
+        <label>Book <select name="path">
+          <option value="">All books</option>
+          ${ctx.datasets.map(d=> html`<option value="${escapeHTML(d.path)}"${d.path === form.path ? ' selected' : ''}>${escapeHTML(d.name || d.path)}</option>`).join('')}
+        </select></label>
+        <label>From <input type="date" name="from" value="${form.from}"></label>
+        <label>To <input type="date" name="to" value="${form.to}"></label>
+        <label><input type="checkbox" name="presentedOnly"${form.presentedOnly ? ' checked' : ''}> Presented only</label>
+      </form>
+      <p class="muted">${list.length} hymn${list.length === 1 ? '' : 's'}, opened ${total} time${total === 1 ? '' : 's'}${form.presentedOnly ? ' on the projector' : ''}. Counted from this browser's <a href="#/recent">history</a>; opening a hymn again within half an hour counts once.</p>
+      ${list.length ? html`
+      <div class="page-actions"><button type="button" data-act="csv">Export CSV</button></div>
+      <table class="offline-table stats-table">
+        <thead><tr><th class="num">#</th><th>Hymn</th>${form.path ? '' : '<th>Book</th>'}<th class="num">Times</th><th class="num">Presented</th><th class="num">Last</th></tr></thead>
+        <tbody>
+          ${list.map((r, i)=>{
+            const x = names.describe(r);
+            return html`
+          <tr>
+            <td class="num">${i + 1}</td>
+            <td>${escapeHTML(x.number)}. ${x.href ? html`<a href="${x.href}">${escapeHTML(x.title)}</a>` : escapeHTML(x.title)}</td>
+            ${form.path ? '' : html`<td>${escapeHTML(x.book)}</td>`}
+            <td class="num">${r.times}</td>
+            <td class="num">${r.presented}</td>
+            <td class="num">${escapeHTML(new Date(r.last).toLocaleDateString())}</td>
+          </tr>`;
+          }).join('')}
+        </tbody>
+      </table>` : '<p class="muted">Nothing opened in that range.</p>'}`;
+  };
+
+  el.onchange = ()=>{
+    const f = new FormData(el.querySelector('#statsForm'));
+    form.path = f.get('path') || '';
+    form.from = f.get('from') || '';
+    form.to = f.get('to') || '';
+    form.presentedOnly = f.get('presentedOnly') === 'on';
+    render();
+  };
+  el.onsubmit = (e)=> e.preventDefault();
+
+  el.onclick = async (e)=>{
+    if (e.target.closest('button[data-act]')?.dataset.act !== 'csv') return;
+    const list = rows();
+    await names.ready(list);          // titles, not "Loading…"; a book that fails gets none
+    const lines = [['Book', 'Number', 'Title', 'Times', 'Presented', 'Last opened']];
+    for (const r of list){
+      const x = names.describe(r);
+      lines.push([x.book, x.number, x.found ? x.title : '', r.times, r.presented, isoDate(new Date(r.last))]);
+    }
+    const book = ctx.datasets.find(d=> d.path === form.path)?.slug || 'all-books';
+    download(`most-sung-${book}-${form.from || 'start'}-to-${form.to || isoDate(new Date())}.csv`,
+      lines.map(l=> l.map(csvCell).join(',')).join('\r\n') + '\r\n', 'text/csv');
+  };
+
+  render();
+}
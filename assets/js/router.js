@@ -2,11 +2,16 @@ export class Router {
   constructor(){ addEventListener('hashchange', ()=> this.handle()); }
   start(){ this.handle(); }
   parse(){
-    const h = location.hash.slice(1);
+    const h = location.hash.slice(1).split('?')[0];
     return h.split('/').filter(Boolean);
   }
+  // "#/bhb?q=grace&sort=alpha" -> URLSearchParams { q, sort }
+  query(){
+    const i = location.hash.indexOf('?');
+    return new URLSearchParams(i < 0 ? '' : location.hash.slice(i + 1));
+  }
   handle(){
     const parts = this.parse();
-    this.onRoute && this.onRoute(parts);
+    this.onRoute && this.onRoute(parts, this.query());
   }
 }
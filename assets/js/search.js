@@ -1,5 +1,7 @@
 // assets/js/search.js — AND-by-terms + prefix/partial matching + phrase boost
 import { normalize } from './utils.js';
+import { normalizeMeter } from './hymnmeta.js';
+import { spellWords } from './spelling.js';
 
 /**
  * Rules (updated):
@@ -15,10 +17,17 @@ import { normalize } from './utils.js';
  * - Scoring:
  *     tf-idf with field weights on the actual matched terms,
  *     + big boost for contiguous phrase appearances (quoted phrases + unquoted multi-term phrase).
+ * - Field prefixes restrict a term or phrase to one field:
+ *     title:, lyrics:, author:, tune:, source:, meter:8.7.8.7, tag:<code or label>, note:
+ * - The user's own notes (notes.js) are a field too. They change, so they aren't in the cached
+ *   index: search() takes them as `opts.notes` and tokenizes them per call.
+ * - "-term" / "-field:x" excludes, "a OR b" matches either, "#100-150" (or number:100-150) is a range.
+ * - Index and query go through spellWords() (spelling.js), so "savior" finds "Saviour" and
+ *   "o'er" finds "over". A query with no hits can be retried with suggestQuery()'s spelling.
  */
 
 const STOPWORDS = new Set([
-  'a','an','and','are','as','at','be','but','by','for','from','had','has','have','he','her','hers','him','his','i',
+  'a','an','and','are','as','at','be','but','by','for','from','had','have','he','her','hers','him','his','i',
   'in','is','it','its','me','my','mine','no','not','of','on','or','our','ours','she','that','the','their','them',
   'there','they','this','to','us','was','were','what','when','where','which','who','whom','why','with','you','your','yours',
   'o','oh','hallelujah','amen'
@@ -31,20 +40,24 @@ const WEIGHTS = {
   tune:         1.4,
   scripture:    0.8,
   meter:        0.6,
+  source:       0.5,
+  notes:        2.0,
   phraseTitle:  12.0,
   phraseLyrics: 6.0,
+  phraseNotes:  8.0,
   exactNumber:  1000,
 
   // Small nudges when we only match via substring fallback (no token hits).
   substrTitle:  2.0,
   substrLyrics: 0.8,
+  substrNotes:  1.0,
 };
 
 const MAX_PREFIX_EXPANSIONS = 50;
 const MAX_TERM_HITS_FOR_SCORING = 12;
 
 function tokenize(s){
-  const nx = normalize(s);
+  const nx = spellWords(normalize(s));
   if (!nx) return [];
   const toks = nx.match(/[a-z0-9]+/g) || [];
   return toks.filter(t => t.length > 1 && !STOPWORDS.has(t));
@@ -52,14 +65,18 @@ function tokenize(s){
 
 function simpleWords(s){
   // normalized letters/digits/spaces only; collapse spaces
-  const nx = normalize(s);
+  const nx = spellWords(normalize(s));
   return (nx.replace(/[^a-z0-9 ]+/g,' ').replace(/\s+/g,' ').trim());
 }
 
 function strIncludes(hay, needle){ return hay && needle ? hay.indexOf(needle) !== -1 : false; }
 function log1p(x){ return Math.log(1 + x); }
 
-export function buildIndex(rows){
+/**
+ * `opts.tagLabel(code)` lets `tag:` queries match a tag's label as well as its code.
+ */
+export function buildIndex(rows, opts = {}){
+  const tagLabel = opts.tagLabel || (()=> '');
   const docs = [];
   const df = new Map();
   const vocab = new Set();
@@ -72,20 +89,23 @@ export function buildIndex(rows){
     const tuneRaw = r.tune || '';
     const scriptureRaw = r.scripture || '';
     const meterRaw = r.meter || '';
+    const sourceRaw = [r.source, r.info].filter(Boolean).join(' ');
 
-    const nTitle      = normalize(titleRaw);
-    const nLyrics     = normalize(lyricsRaw);
+    const nTitle      = spellWords(normalize(titleRaw));
+    const nLyrics     = spellWords(normalize(lyricsRaw));
     const tfTitle     = countTokens(tokenize(titleRaw));
     const tfLyrics    = countTokens(tokenize(lyricsRaw));
     const tfAuthor    = countTokens(tokenize(authorRaw));
     const tfTune      = countTokens(tokenize(tuneRaw));
     const tfScripture = countTokens(tokenize(scriptureRaw));
     const tfMeter     = countTokens(tokenize(meterRaw));
+    const tfSource    = countTokens(tokenize(sourceRaw));
 
     const seen = new Set([
       ...Object.keys(tfTitle), ...Object.keys(tfLyrics),
       ...Object.keys(tfAuthor), ...Object.keys(tfTune),
       ...Object.keys(tfScripture), ...Object.keys(tfMeter),
+      ...Object.keys(tfSource),
     ]);
     for (const t of seen){
       df.set(t, (df.get(t) || 0) + 1);
@@ -97,14 +117,29 @@ export function buildIndex(rows){
       row: r,
       num: (r.number ?? '').toString().toLowerCase(),
       nTitle, nLyrics,
-      tfTitle, tfLyrics, tfAuthor, tfTune, tfScripture, tfMeter,
+      tfTitle, tfLyrics, tfAuthor, tfTune, tfScripture, tfMeter, tfSource,
       terms: seen,
+      tagCodes: new Set((r.tags || []).map(c=> normalize(c))),
+      tagText: (r.tags || []).map(c=> simpleWords(tagLabel(c) || '')).join('\n'),
     });
   }
 
   return { N: rows.length, docs, df, vocab };
 }
 
+const TF_KEYS = ['tfTitle', 'tfLyrics', 'tfAuthor', 'tfTune', 'tfScripture', 'tfMeter', 'tfSource'];
+
+/**
+ * Fix up an index that went through structured clone (worker message, IndexedDB):
+ * the per-field token counts lose their null prototype, so "constructor" would look like a token.
+ */
+export function reviveIndex(index){
+  for (const doc of index.docs){
+    for (const k of TF_KEYS) Object.setPrototypeOf(doc[k], null);
+  }
+  return index;
+}
+
 function countTokens(tokens){
   const m = Object.create(null);
   for (const t of tokens){ m[t] = (m[t] || 0) + 1; }
@@ -166,65 +201,326 @@ function matchOneTerm(doc, vocab, qt){
   return { ok: false, hits: [], subTitle: false, subLyrics: false };
 }
 
-export function search(index, rows, q){
-  const s = (q || '').trim();
-  if (!s) return rows;
+const FIELD_ALIASES = {
+  title: 'title', lyrics: 'lyrics', text: 'lyrics',
+  author: 'author', by: 'author', words: 'author',
+  tune: 'tune', meter: 'meter', metre: 'meter',
+  source: 'source', tag: 'tag', topic: 'tag',
+  number: 'number', no: 'number',
+  note: 'notes', notes: 'notes',
+};
 
-  const { N, docs, df, vocab } = index;
+const FIELD_TF = { title: 'tfTitle', lyrics: 'tfLyrics', author: 'tfAuthor', tune: 'tfTune', source: 'tfSource', meter: 'tfMeter' };
 
-  // Extract quoted phrases (still honored strictly)
-  const phraseRe = /"([^"]+)"/g;
-  const quotedPhrases = [];
+function parseRange(v){
+  const m = String(v).match(/^#?(\d+)(?:\s*-\s*(\d+))?$/);
+  if (!m) return null;
+  const a = parseInt(m[1], 10), b = m[2] ? parseInt(m[2], 10) : a;
+  return { lo: Math.min(a, b), hi: Math.max(a, b) };
+}
+
+/**
+ * Split a query into clauses: [{ neg, alts: [{ field, text, phrase } | { field:'number', lo, hi }] }].
+ * Clauses are AND-ed; the alternatives inside one clause came from "a OR b".
+ */
+export function parseQuery(q){
+  const clauses = [];
+  const re = /(-?)(?:([a-z]+):\s*)?(?:"([^"]*)"?|(\S+))/gi;
+  let joinNext = false;
   let m;
-  while ((m = phraseRe.exec(s))) quotedPhrases.push(m[1]);
-  const nQuotedPhrases = quotedPhrases.map(p => simpleWords(p)).filter(Boolean);
+  while ((m = re.exec(q || ''))){
+    const [, minus, prefix, quoted, bare] = m;
+    if (!minus && !prefix && (bare === 'OR' || bare === '|')){ joinNext = clauses.length > 0; continue; }
+
+    const field = prefix ? FIELD_ALIASES[prefix.toLowerCase()] : null;
+    let alt;
+    if (prefix && !field){
+      // Unknown "foo:" is just text
+      alt = { field: 'any', text: `${prefix}:${quoted ?? bare}`, phrase: false };
+    } else if (field === 'number' || (!field && quoted === undefined && /^#\d+(?:-\d+)?$/.test(bare))){
+      const r = parseRange(quoted ?? bare);
+      alt = r ? { field: 'number', ...r } : { field: 'any', text: quoted ?? bare, phrase: false };
+    } else {
+      alt = { field: field || 'any', text: quoted ?? bare, phrase: quoted !== undefined };
+    }
+    if (!alt.text && alt.field !== 'number') continue;
+
+    const neg = minus === '-';
+    const prev = clauses[clauses.length - 1];
+    if (joinNext && prev && !prev.neg && !neg) prev.alts.push(alt);
+    else clauses.push({ neg, alts: [alt] });
+    joinNext = false;
+  }
+  return clauses;
+}
+
+function fieldWords(doc, field){
+  doc.words ||= Object.create(null);
+  if (!(field in doc.words)) doc.words[field] = simpleWords(field === 'source' ? [doc.row.source, doc.row.info].filter(Boolean).join(' ') : doc.row[field] || '');
+  return doc.words[field];
+}
+
+/** "8.7.8.7.D." -> "8.7.8.7.8.7.8.7", "C.M. and chorus" -> "8.6.8.6" (see normalizeMeter) */
+function meterKey(s){
+  return normalizeMeter(s)?.key || normalize(s).replace(/[^a-z0-9]+/g, '');
+}
+
+/** Term against one field's token counts: exact token, prefix, then substring of `words()`. */
+function matchTokens(tf, words, qt){
+  if (tf[qt]) return [qt];
+  const hits = Object.keys(tf).filter(t=> t.startsWith(qt)).slice(0, MAX_TERM_HITS_FOR_SCORING);
+  if (hits.length) return hits;
+  if (qt.length >= 3 && strIncludes(words(), qt)) return [];
+  return null;
+}
+
+/** Term inside one field: exact token, prefix within that field's tokens, then substring. */
+function matchFieldTerm(doc, field, qt){
+  return matchTokens(doc[FIELD_TF[field]], ()=> fieldWords(doc, field), qt);
+}
+
+/** A hymn's note as the matchers see it. */
+function noteDoc(text){
+  return { tf: countTokens(tokenize(text)), words: simpleWords(text) };
+}
+
+/** Term in a note (`note` from noteDoc(), or undefined): null when not there, else its score. */
+function matchNoteTerm(note, qt, idf){
+  const hits = note ? matchTokens(note.tf, ()=> note.words, qt) : null;
+  if (!hits) return null;
+  if (!hits.length) return WEIGHTS.substrNotes;
+  return hits.reduce((n, t)=> n + idf(t) * WEIGHTS.notes * Math.sqrt(note.tf[t]), 0);
+}
+
+/**
+ * Test one alternative against a document (and its `note`, if any). Returns null when it does
+ * not match, otherwise { score, terms, subTitle, subLyrics } (terms feed the shared tf-idf pass).
+ */
+function matchAlt(doc, index, alt, note){
+  const { N, df, vocab } = index;
+  const out = { score: 0, terms: [], subTitle: false, subLyrics: false };
+  const idf = (t)=> log1p(N / ((df.get(t) || 0) + 1));
+
+  if (alt.field === 'number'){
+    const n = parseInt(doc.num, 10);
+    return n >= alt.lo && n <= alt.hi ? out : null;
+  }
+  if (alt.field === 'meter'){
+    const want = meterKey(alt.text);
+    const have = meterKey(doc.row.meter || '');
+    // "8.7.8.7" also finds the doubled 8.7.8.7.D; "8.7.8.7.D" only the doubled form
+    return want && (have === want || have === `${want}.${want}`) ? out : null;
+  }
+  if (alt.field === 'tag'){
+    const v = normalize(alt.text);
+    if (doc.tagCodes.has(v)) return out;
+    const words = simpleWords(v);
+    return words && doc.tagText.split('\n').some(l=> strIncludes(` ${l} `, ` ${words}`)) ? out : null;
+  }
+  if (alt.field === 'notes' && !alt.phrase){
+    for (const qt of getQueryTerms(alt.text)){
+      const score = matchNoteTerm(note, qt, idf);
+      if (score === null) return null;
+      out.score += 2 * score;
+    }
+    return out;
+  }
+  if (alt.phrase){
+    const ph = simpleWords(alt.text);
+    const inN = !!note && strIncludes(note.words, ph);
+    if (alt.field === 'notes') return inN ? { ...out, score: WEIGHTS.phraseNotes } : null;
+    if (alt.field === 'any'){
+      const inT = strIncludes(doc.nTitle, ph), inL = strIncludes(doc.nLyrics, ph);
+      if (!inT && !inL && !inN) return null;
+      out.score = (inT ? WEIGHTS.phraseTitle : 0) + (inL ? WEIGHTS.phraseLyrics : 0) + (inN ? WEIGHTS.phraseNotes : 0);
+      return out;
+    }
+    if (!strIncludes(fieldWords(doc, alt.field), ph)) return null;
+    out.score = alt.field === 'lyrics' ? WEIGHTS.phraseLyrics : WEIGHTS.phraseTitle;
+    return out;
+  }
+
+  const terms = getQueryTerms(alt.text);
+  for (const qt of terms){
+    if (alt.field === 'any'){
+      const r = matchOneTerm(doc, vocab, qt);
+      const inNote = matchNoteTerm(note, qt, idf);
+      if (!r.ok && inNote === null) return null;
+      out.score += inNote || 0;
+      out.terms.push(...r.hits);
+      out.subTitle ||= r.subTitle;
+      out.subLyrics ||= r.subLyrics;
+    } else {
+      const hits = matchFieldTerm(doc, alt.field, qt);
+      if (!hits) return null;
+      const tf = doc[FIELD_TF[alt.field]];
+      // Fielded hits count double: the user told us where to look
+      for (const t of hits) out.score += 2 * idf(t) * WEIGHTS[alt.field] * Math.sqrt(tf[t] || 0);
+      if (!hits.length) out.score += WEIGHTS.substrLyrics;
+    }
+  }
+  return out;
+}
+
+/** Whether `qt` (a query term) would match anything at all in this index. */
+function termHasHits(index, qt){
+  if (index.vocab.has(qt) || expandPrefix(index.vocab, qt).length) return true;
+  return qt.length >= 3 && index.docs.some(d=> strIncludes(d.nTitle, qt) || strIncludes(d.nLyrics, qt));
+}
+
+/** Damerau-Levenshtein distance; anything over `max` comes back as max + 1. */
+function editDistance(a, b, max){
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j)=> j);
+  for (let i = 1; i <= a.length; i++){
+    const cur = [i];
+    let best = i;
+    for (let j = 1; j <= b.length; j++){
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+      cur[j] = v;
+      if (v < best) best = v;
+    }
+    if (best > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/** Closest word in any of the indexes' vocab (fewest edits, then most hymns), or null. */
+function closestTerm(indexes, qt){
+  const max = qt.length >= 7 ? 2 : 1;
+  let bestDist = max + 1;
+  const counts = new Map();
+  for (const { vocab, df } of indexes){
+    for (const t of vocab){
+      if (/\d/.test(t)) continue;
+      const d = editDistance(qt, t, Math.min(max, bestDist));
+      if (d > bestDist || d > max) continue;
+      if (d < bestDist){ bestDist = d; counts.clear(); }
+      counts.set(t, (counts.get(t) || 0) + (df.get(t) || 0));
+    }
+  }
+  let best = null;
+  for (const [t, n] of counts) if (!best || n > counts.get(best)) best = t;
+  return best;
+}
+
+/**
+ * Spelling suggestion for a query whose free-text words match nothing: each such word
+ * (4+ letters) is swapped for the nearest word in `indexes` (1 edit, 2 from 7 letters).
+ * Returns { query, fixes: [[typed, suggested]] }, or null when there is nothing to fix.
+ */
+export function suggestQuery(indexes, q){
+  const fixes = new Map();
+  for (const c of parseQuery(q)){
+    if (c.neg) continue;
+    for (const alt of c.alts){
+      if (alt.field !== 'any' || alt.phrase) continue;
+      for (const qt of getQueryTerms(alt.text)){
+        if (fixes.has(qt) || qt.length < 4 || /\d/.test(qt)) continue;
+        if (indexes.some(ix=> termHasHits(ix, qt))) continue;
+        const t = closestTerm(indexes, qt);
+        if (t) fixes.set(qt, t);
+      }
+    }
+  }
+  if (!fixes.size) return null;
+  const query = q.replace(/[\p{L}\p{N}'’]+/gu, (w)=> fixes.get(simpleWords(w)) ?? w);
+  return { query, fixes: [...fixes] };
+}
 
-  // Remaining text (unquoted)
-  const rest = s.replace(phraseRe, ' ').trim();
+/**
+ * Which verse or chorus a query found, for "matched verse 3" labels: the row.firstLines entry
+ * plus `first` when every word is in that first line. Null when the words only meet in verse 1
+ * (or not within one block), and for queries with no free-text words.
+ */
+export function matchedBlock(row, q){
+  const blocks = row.firstLines || [];
+  const words = [], phrases = [];
+  for (const c of parseQuery(q)){
+    if (c.neg || c.alts.length !== 1) continue;
+    const a = c.alts[0];
+    if (a.field !== 'any' && a.field !== 'lyrics') continue;
+    if (a.phrase) phrases.push(simpleWords(a.text)); else words.push(...getQueryTerms(a.text));
+  }
+  if (blocks.length < 2 || (!words.length && !phrases.length)) return null;
+
+  const has = (text)=>{
+    const w = ` ${simpleWords(text)} `;
+    return words.every(t=> w.includes(` ${t}`)) && phrases.every(p=> w.includes(` ${p} `));
+  };
+  // Blocks' text: the lyrics cut where each first line starts
+  const lyrics = row.lyrics || '';
+  const cuts = [];
+  let from = 0;
+  for (const b of blocks){
+    const i = lyrics.indexOf(b.line, from);
+    if (i < 0) continue;
+    cuts.push({ b, i });
+    from = i + b.line.length;
+  }
+  const hit = blocks.find(b=> has(b.line))
+    || cuts.find(({ i }, k)=> has(lyrics.slice(i, cuts[k + 1]?.i ?? lyrics.length)))?.b;
+  if (!hit || (hit.kind === 'verse' && hit.n === 1)) return null;
+  return { ...hit, first: has(hit.line) };
+}
+
+/**
+ * Rows of `index` matching `q`, best first. `opts.notes`: Map of row id -> the user's note text.
+ */
+export function search(index, rows, q, opts = {}){
+  const s = (q || '').trim();
+  if (!s) return rows;
+
+  const { N, docs, df } = index;
+  const notes = new Map([...(opts.notes || [])].map(([id, text])=> [id, noteDoc(text)]));
 
   // Pure number? exact match fast-path
-  if (/^\d+$/.test(rest)){
-    const want = rest.toLowerCase();
-    const hit = docs.find(d => d.num === want);
+  if (/^\d+$/.test(s)){
+    const hit = docs.find(d => d.num === s.toLowerCase());
     if (hit) return [hit.row];
     // If not found, keep going (user might be searching number-like text)
   }
 
-  const qTerms = getQueryTerms(rest);
-  const phraseForBoost = (qTerms.length >= 2) ? qTerms.join(' ') : null;
+  // Stopword-only clauses ("the", "-and") constrain nothing, so they are dropped
+  const isEmpty = (a)=> a.field !== 'number' && !a.phrase && a.field !== 'meter' && a.field !== 'tag' && !getQueryTerms(a.text).length;
+  const clauses = parseQuery(s)
+    .map(c=> ({ ...c, alts: c.alts.filter(a=> !isEmpty(a)) }))
+    .filter(c=> c.alts.length);
+
+  // Unquoted free terms that must all match also get a contiguous-phrase boost
+  const plainTerms = clauses
+    .filter(c=> !c.neg && c.alts.length === 1 && c.alts[0].field === 'any' && !c.alts[0].phrase)
+    .flatMap(c=> getQueryTerms(c.alts[0].text));
+  const phraseForBoost = (plainTerms.length >= 2) ? plainTerms.join(' ') : null;
 
   const results = [];
   for (const doc of docs){
-    // 1) All quoted phrases must appear (title or lyrics)
     let pass = true;
-    for (const ph of nQuotedPhrases){
-      if (!(strIncludes(doc.nTitle, ph) || strIncludes(doc.nLyrics, ph))){ pass = false; break; }
-    }
-    if (!pass) continue;
-
-    // 2) AND-by-terms (prefix/partial supported)
+    let score = 0;
     const matchedTerms = new Set();
     let subTitleHit = false;
     let subLyricsHit = false;
 
-    for (const qt of qTerms){
-      const r = matchOneTerm(doc, vocab, qt);
-      if (!r.ok){ pass = false; break; }
-      for (const t of r.hits) matchedTerms.add(t);
-      if (r.subTitle) subTitleHit = true;
-      if (r.subLyrics) subLyricsHit = true;
+    for (const c of clauses){
+      let any = false;
+      for (const alt of c.alts){
+        const r = matchAlt(doc, index, alt, notes.get(doc.id));
+        if (!r) continue;
+        any = true;
+        if (c.neg) break;
+        score += r.score;
+        for (const t of r.terms) matchedTerms.add(t);
+        if (r.subTitle) subTitleHit = true;
+        if (r.subLyrics) subLyricsHit = true;
+      }
+      if (any === c.neg){ pass = false; break; }
     }
     if (!pass) continue;
 
-    // Score
-    let score = 0;
-
-    // Phrase boosts (quoted)
-    for (const ph of nQuotedPhrases){
-      if (strIncludes(doc.nTitle, ph))  score += WEIGHTS.phraseTitle;
-      if (strIncludes(doc.nLyrics, ph)) score += WEIGHTS.phraseLyrics;
-    }
-
     // Phrase boost (unquoted multi-term) — boost only, not required
     if (phraseForBoost){
       if (strIncludes(doc.nTitle, phraseForBoost))  score += WEIGHTS.phraseTitle;
@@ -244,6 +540,7 @@ export function search(index, rows, q){
       const tfU = doc.tfTune[t]      || 0;
       const tfS = doc.tfScripture[t] || 0;
       const tfM = doc.tfMeter[t]     || 0;
+      const tfO = doc.tfSource[t]    || 0;
 
       const fieldSum =
         WEIGHTS.title     * Math.sqrt(tfT) +
@@ -251,18 +548,19 @@ export function search(index, rows, q){
         WEIGHTS.author    * Math.sqrt(tfA) +
         WEIGHTS.tune      * Math.sqrt(tfU) +
         WEIGHTS.scripture * Math.sqrt(tfS) +
-        WEIGHTS.meter     * Math.sqrt(tfM);
+        WEIGHTS.meter     * Math.sqrt(tfM) +
+        WEIGHTS.source    * Math.sqrt(tfO);
 
       score += idf * fieldSum;
     }
 
     // Extra nudge if a number was in the text and exactly matches this hymn
-    if (/\b\d+\b/.test(rest) && doc.num === rest.toLowerCase()){
+    if (/^\d+$/.test(s) && doc.num === s.toLowerCase()){
       score += WEIGHTS.exactNumber;
     }
 
     // If we matched via gating but still have a 0 score (rare), keep it with a tiny baseline
-    if (score <= 0 && (qTerms.length || nQuotedPhrases.length)) score = 0.0001;
+    if (score <= 0 && clauses.length) score = 0.0001;
 
     results.push({ row: doc.row, score });
   }
@@ -0,0 +1,279 @@
+// assets/js/setlists.js — named, dated setlists of hymns from any book
+//
+// Stored in localStorage under "setlists" as
+//   [{ id, name, date: 'YYYY-MM-DD', items: [{ path, id, note }], updated }]
+// Items point at a book by its config.json path (stable across reordering of datasets)
+// and at a hymn by its row id.
+import { html, escapeHTML } from './utils.js';
+
+const KEY = 'setlists';
+
+export function loadSetlists(){
+  try{
+    const list = JSON.parse(localStorage.getItem(KEY) || '[]');
+    return Array.isArray(list) ? list : [];
+  }catch{ return []; }
+}
+
+export function saveSetlists(list){
+  localStorage.setItem(KEY, JSON.stringify(list));
+}
+
+export function getSetlist(id){
+  return loadSetlists().find(s=> s.id === id) || null;
+}
+
+function updateSetlist(id, fn){
+  const list = loadSetlists();
+  const set = list.find(s=> s.id === id);
+  if (!set) return null;
+  fn(set);
+  set.updated = Date.now();
+  saveSetlists(list);
+  return set;
+}
+
+function today(){
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+export function createSetlist(name, date = today()){
+  const list = loadSetlists();
+  const set = {
+    id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6),
+    name: (name || '').trim() || 'Untitled setlist',
+    date,
+    items: [],
+    updated: Date.now(),
+  };
+  list.push(set);
+  saveSetlists(list);
+  return set;
+}
+
+export function addToSetlist(setId, path, hymnId, note = ''){
+  return updateSetlist(setId, s=> s.items.push({ path, id: String(hymnId), note }));
+}
+
+/** Setlists for pickers: most recent date first. */
+export function sortedSetlists(){
+  return loadSetlists().sort((a, b)=> (b.date || '').localeCompare(a.date || '') || b.updated - a.updated);
+}
+
+function formatDate(iso){
+  if (!iso) return '';
+  const d = new Date(`${iso}T00:00:00`);
+  return Number.isNaN(d.getTime()) ? iso : d.toLocaleDateString(undefined, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+}
+
+/** Href of the n-th hymn (0-based) of a setlist. */
+export function setItemHref(setId, pos){
+  return `#/set/${encodeURIComponent(setId)}/${pos + 1}`;
+}
+
+/**
+ * "Setlists" screen (#/sets). `ctx`: { datasets }.
+ */
+export function showSetlistsPage(el, ctx){
+  const render = ()=>{
+    const sets = sortedSetlists();
+    el.innerHTML = html`
+      <h1>Setlists</h1>
+      <form class="set-new" id="setNewForm">
+        <label>Name <input name="name" required placeholder="Sunday morning"></label>
+        <label>Date <input name="date" type="date" value="${today()}"></label>
+        <button type="submit">Create setlist</button>
+      </form>
+      ${sets.length ? html`
+      <ul class="set-index">
+        ${sets.map(s=> html`
+          <li>
+            <a href="#/set/${encodeURIComponent(s.id)}">${escapeHTML(s.name)}</a>
+            <span class="muted">${escapeHTML(formatDate(s.date))} · ${s.items.length} hymn${s.items.length === 1 ? '' : 's'}</span>
+          </li>`).join('')}
+      </ul>` : '<p class="muted">No setlists yet. Create one here, or use “+ Setlist” on any hymn.</p>'}`;
+  };
+
+  el.onclick = null;
+  el.onsubmit = (e)=>{
+    if (e.target.id !== 'setNewForm') return;
+    e.preventDefault();
+    const f = new FormData(e.target);
+    const set = createSetlist(f.get('name'), f.get('date') || today());
+    location.hash = `#/set/${encodeURIComponent(set.id)}`;
+  };
+  render();
+}
+
+/**
+ * One setlist (#/set/<id>): rename, re-date, reorder (drag or ↑/↓), notes, remove,
+ * add by book + number. `ctx`: { datasets, loadBook(i) -> Promise<{ rows }> }.
+ */
+export function showSetlistPage(el, setId, ctx){
+  const { datasets } = ctx;
+  const books = new Map();            // dataset index -> book, filled as they load
+  const failed = new Set();           // dataset indexes whose book couldn't load
+  let message = '';
+
+  const dsOf = (path)=> datasets.findIndex(d=> d.path === path);
+  // undefined while the book loads, null when it has no such hymn
+  const rowOf = (item)=>{
+    const book = books.get(dsOf(item.path));
+    return book ? book.rows.find(r=> r.id === item.id) || null : undefined;
+  };
+
+  const render = ()=>{
+    const set = getSetlist(setId);
+    if (!set){
+      el.innerHTML = html`<h1>Setlist not found</h1><p><a href="#/sets">All setlists</a></p>`;
+      return;
+    }
+    el.innerHTML = html`
+      <p class="muted"><a href="#/sets">← All setlists</a></p>
+      <div class="set-head">
+        <label class="set-name">Name <input id="setName" value="${escapeHTML(set.name)}"></label>
+        <label>Date <input id="setDate" type="date" value="${escapeHTML(set.date || '')}"></label>
+      </div>
+      <div class="page-actions">
+        ${set.items.length ? html`<a class="button-link" href="${setItemHref(set.id, 0)}">Open first hymn →</a>` : ''}
+        <button type="button" data-act="delete-set">Delete setlist</button>
+      </div>
+      <ol class="set-items" id="setItems">
+        ${set.items.map((item, i)=>{
+          const ds = dsOf(item.path);
+          const row = rowOf(item);
+          const book = ds >= 0 ? (datasets[ds].name || datasets[ds].path) : item.path;
+          // A book that is gone (a removed local book) never loads: say so instead of "Loading…"
+          const title = ds < 0 ? 'Book no longer available' : failed.has(ds) ? 'Couldn\'t load book'
+            : row === undefined ? 'Loading…' : row ? row.title : 'Not found in this book';
+          return html`
+          <li draggable="true" data-i="${i}">
+            <span class="drag-handle" aria-hidden="true" title="Drag to reorder">⋮⋮</span>
+            <div class="set-item-main">
+              ${ds < 0 ? html`<span>${escapeHTML(book)} #${escapeHTML(item.id)}</span>`
+                : html`<a href="${setItemHref(set.id, i)}">${escapeHTML(book)} #${escapeHTML(row?.number || item.id)}</a>`}
+              <span class="muted">${escapeHTML(title)}</span>
+              ${failed.has(ds) ? html`<button type="button" data-act="retry" data-ds="${ds}">Retry</button>` : ''}
+              <input class="set-note" data-i="${i}" value="${escapeHTML(item.note || '')}" placeholder="Note, e.g. verses 1, 3, 4 only" aria-label="Note for item ${i + 1}">
+            </div>
+            <div class="set-item-actions">
+              <button type="button" data-act="up" data-i="${i}" ${i === 0 ? 'disabled' : ''} aria-label="Move up">↑</button>
+              <button type="button" data-act="down" data-i="${i}" ${i === set.items.length - 1 ? 'disabled' : ''} aria-label="Move down">↓</button>
+              <button type="button" data-act="remove" data-i="${i}" aria-label="Remove">✕</button>
+            </div>
+          </li>`;
+        }).join('')}
+      </ol>
+      ${set.items.length ? '' : '<p class="muted">Empty. Add hymns below, or with “+ Setlist” on any hymn.</p>'}
+      <form class="set-add" id="setAddForm">
+        <label>Book
+          <select name="ds">${datasets.map((d, i)=> html`<option value="${i}">${escapeHTML(d.name || d.path)}</option>`).join('')}</select>
+        </label>
+        <label>Number <input name="number" inputmode="numeric" required size="5"></label>
+        <button type="submit">Add</button>
+      </form>
+      <p class="muted" role="status">${escapeHTML(message)}</p>`;
+    const last = set.items[set.items.length - 1];
+    if (last && dsOf(last.path) >= 0) el.querySelector('#setAddForm select').value = String(dsOf(last.path));
+  };
+
+  const move = (from, to)=>{
+    updateSetlist(setId, s=>{
+      if (to < 0 || to >= s.items.length) return;
+      const [item] = s.items.splice(from, 1);
+      s.items.splice(to, 0, item);
+    });
+    render();
+  };
+
+  el.onclick = (e)=>{
+    const btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    const i = parseInt(btn.dataset.i, 10);
+    message = '';
+    switch (btn.dataset.act){
+      case 'up': move(i, i - 1); break;
+      case 'down': move(i, i + 1); break;
+      case 'remove': updateSetlist(setId, s=> s.items.splice(i, 1)); render(); break;
+      case 'retry': load(parseInt(btn.dataset.ds, 10)); render(); break;
+      case 'delete-set':
+        if (!confirm('Delete this setlist?')) return;
+        saveSetlists(loadSetlists().filter(s=> s.id !== setId));
+        location.hash = '#/sets';
+        break;
+    }
+  };
+
+  el.onchange = (e)=>{
+    const t = e.target;
+    if (t.id === 'setName') updateSetlist(setId, s=>{ s.name = t.value.trim() || s.name; });
+    else if (t.id === 'setDate') updateSetlist(setId, s=>{ s.date = t.value; });
+    else if (t.classList.contains('set-note')) updateSetlist(setId, s=>{ s.items[parseInt(t.dataset.i, 10)].note = t.value.trim(); });
+  };
+
+  el.onsubmit = async (e)=>{
+    if (e.target.id !== 'setAddForm') return;
+    e.preventDefault();
+    const f = new FormData(e.target);
+    const ds = parseInt(f.get('ds'), 10);
+    const number = String(f.get('number') || '').trim().replace(/^#/, '');
+    const book = books.get(ds) || await ctx.loadBook(ds).catch(()=> null);
+    if (book){ books.set(ds, book); failed.delete(ds); }
+    const row = book?.rows.find(r=> String(r.number) === number);
+    if (!book){
+      message = `Couldn't load ${datasets[ds].name || datasets[ds].path}. Check the connection and try again.`;
+    } else if (!row){
+      message = `${datasets[ds].name || datasets[ds].path} has no hymn #${number}.`;
+    } else {
+      addToSetlist(setId, datasets[ds].path, row.id);
+      message = `Added #${row.number} ${row.title}.`;
+    }
+    render();
+    el.querySelector('#setAddForm input[name="number"]')?.focus();
+  };
+
+  // Drag to reorder (touch devices use the ↑/↓ buttons)
+  let dragFrom = -1;
+  el.ondragstart = (e)=>{
+    const li = e.target.closest?.('li[data-i]');
+    if (!li) return;
+    dragFrom = parseInt(li.dataset.i, 10);
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', String(dragFrom));
+    li.classList.add('dragging');
+  };
+  el.ondragover = (e)=>{
+    if (dragFrom < 0 || !e.target.closest?.('#setItems li')) return;
+    e.preventDefault();
+  };
+  el.ondrop = (e)=>{
+    const li = e.target.closest?.('#setItems li[data-i]');
+    if (!li || dragFrom < 0) return;
+    e.preventDefault();
+    const to = parseInt(li.dataset.i, 10);
+    const from = dragFrom;
+    dragFrom = -1;
+    if (from !== to) move(from, to);
+  };
+  el.ondragend = ()=>{
+    dragFrom = -1;
+    for (const x of el.querySelectorAll('.dragging')) x.classList.remove('dragging');
+  };
+
+  // Titles arrive as each referenced book loads
+  const load = (i)=>{
+    failed.delete(i);
+    ctx.loadBook(i).then(book=> books.set(i, book), ()=> failed.add(i)).then(()=>{
+      // Still on this screen, and not mid-typing in a note
+      if (location.hash !== `#/set/${encodeURIComponent(setId)}`) return;
+      if (el.contains(document.activeElement) && document.activeElement.tagName === 'INPUT') return;
+      render();
+    });
+  };
+
+  render();
+
+  const set = getSetlist(setId);
+  for (const i of new Set((set?.items || []).map(it=> dsOf(it.path)).filter(i=> i >= 0))) load(i);
+}
@@ -0,0 +1,62 @@
+// assets/js/spelling.js — one spelling per word for search (index and query alike)
+//
+// The books mix UK and US editions and old and modern English, so "Savior", "Saviour",
+// "heav'n" and "heaven" must all find each other. spellWords() rewrites normalized text
+// (see normalize() in utils.js) word by word:
+//   - elisions are spelled out: o'er -> over, ne'er -> never, heav'n -> heaven, pow'r -> power
+//     (contractions and possessives such as "God's", "can't", "thou'rt" are left alone);
+//   - US -or/-ize forms become the UK -our/-ise forms most of the books use;
+//   - the VARIANTS groups below map onto their first word.
+// Change anything here and bump FORMAT in bookstore.js: cached indexes hold spelled words.
+
+// Words whose US form drops the "u" of -our, matched with any ending: honor, honored, honorable
+const OUR_STEMS = ['ardo', 'armo', 'behavio', 'cando', 'clamo', 'colo', 'endeavo', 'favo', 'fervo', 'harbo',
+  'hono', 'labo', 'neighbo', 'odo', 'paramo', 'rigo', 'rumo', 'savio', 'splendo', 'succo', 'valo', 'vigo'];
+
+// -ize / -ise, again with any ending: baptize, baptized, baptizing
+const ISE_STEMS = ['agoni', 'apologi', 'authori', 'bapti', 'chasti', 'civili', 'emphasi', 'evangeli', 'harmoni',
+  'memori', 'organi', 'reali', 'recogni', 'scrutini', 'solemni', 'sympathi', 'tantali'];
+
+// Whole words; the first of each group is the one kept
+const VARIANTS = [
+  ['hath', 'has'], ['doth', 'does'], ['saith', 'says'], ['shew', 'show'], ['shewed', 'showed'],
+  ['shewn', 'shown'], ['shewing', 'showing'], ['shews', 'shows'],
+  ['over', 'oer'], ['ever', 'eer'], ['never', 'neer'], ['even', 'een'],
+  ['through', 'thro', 'thru'], ['though', 'tho'], ['beneath', 'neath'], ['against', 'gainst'],
+  ['amid', 'mid'], ['amidst', 'midst'], ['till', 'til'],
+  ['grey', 'gray'], ['centre', 'center'], ['sepulchre', 'sepulcher'], ['sceptre', 'scepter'],
+  ['lustre', 'luster'], ['theatre', 'theater'], ['fulfil', 'fulfill'], ['fulfils', 'fulfills'],
+  ['fulfilment', 'fulfillment'], ['judgement', 'judgment'], ['judgements', 'judgments'],
+  ['acknowledgement', 'acknowledgment'],
+  ['travelling', 'traveling'], ['travelled', 'traveled'], ['traveller', 'traveler'], ['travellers', 'travelers'],
+  ['marvellous', 'marvelous'], ['jewelled', 'jeweled'], ['counsellor', 'counselor'],
+  ['worshipped', 'worshiped'], ['worshipping', 'worshiping'], ['worshipper', 'worshiper'], ['worshippers', 'worshipers'],
+  // Elisions that don't spell out by putting an "e" back
+  ['calvary', 'calvery'], ['victory', 'victery'], ['victories', 'victeries'], ['memories', 'memeries'],
+  ['medicine', 'medecine'], ['conqueror', 'conqeror'], ['follower', 'follewer'], ['followers', 'follewers'],
+];
+
+const CANON = new Map();
+for (const [keep, ...others] of VARIANTS) for (const w of others) CANON.set(w, keep);
+
+// What follows the apostrophe of a contraction or possessive rather than an elision
+const CONTRACTIONS = new Set(['s', 't', 'd', 'm', 'll', 've', 're', 'rt', 'lt', 'st']);
+
+const OUR_RE = new RegExp(`^(${OUR_STEMS.join('|')})r`);
+const ISE_RE = new RegExp(`^(${ISE_STEMS.join('|')})z`);
+
+/** One word (lowercase letters/digits) in its kept spelling. */
+export function spellWord(w){
+  if (CANON.has(w)) return CANON.get(w);
+  if (OUR_RE.test(w)) return w.replace(OUR_RE, '$1ur');
+  if (ISE_RE.test(w)) return w.replace(ISE_RE, '$1s');
+  return w;
+}
+
+/** Normalized text with elisions spelled out and every word in its kept spelling. */
+export function spellWords(nx){
+  return nx
+    .replace(/\b([a-z]*[oe])['’]e([rn])/g, '$1ve$2')                               // o'er, e'en, whate'er, o'erflow
+    .replace(/\b([a-z]{2,})['’]([a-z]+)/g, (m, a, b)=> CONTRACTIONS.has(b) ? m : `${a}e${b}`)  // heav'n, pow'r, wand'ring
+    .replace(/[a-z0-9]+/g, spellWord);
+}
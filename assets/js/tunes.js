@@ -0,0 +1,194 @@
+// assets/js/tunes.js — tune picker, notation and playback for the hymn detail view
+import { html, escapeHTML, $, $$ } from './utils.js';
+import { parseAbc, transposeTune, renderAbcSvg } from './abc.js';
+import { TunePlayer } from './player.js';
+
+const player = new TunePlayer();
+const abcCache = new Map();       // url -> Promise<string>
+
+const view = {
+  row: null,
+  bases: [],
+  entry: null,
+  tune: null,          // parsed, untransposed
+  shown: null,         // transposed copy currently drawn / played
+  transpose: 0,
+  bpm: null,
+  token: 0,            // guards against out-of-order loads
+};
+
+async function fetchAbc(file, bases){
+  let lastErr = null;
+  for (const base of bases){
+    const url = base + file;
+    if (!abcCache.has(url)){
+      abcCache.set(url, fetch(url).then(res=>{
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.text();
+      }));
+    }
+    try{ return await abcCache.get(url); }
+    catch(err){ abcCache.delete(url); lastErr = err; }
+  }
+  throw lastErr || new Error('No tune location configured');
+}
+
+function setStatus(msg){
+  const el = $('#tuneStatus');
+  if (el) el.textContent = msg || '';
+}
+
+function updatePlayButton(){
+  const btn = $('#tunePlay');
+  if (!btn) return;
+  btn.textContent = player.playing ? '■ Stop' : '▶ Play';
+  btn.setAttribute('aria-pressed', player.playing ? 'true' : 'false');
+}
+
+function drawScore(){
+  const score = $('#tuneScore');
+  view.shown = view.tune ? transposeTune(view.tune, view.transpose) : null;
+  score.innerHTML = view.shown ? renderAbcSvg(view.shown) : '';
+  $('#tuneTransposeOut').textContent = view.transpose > 0 ? `+${view.transpose}` : String(view.transpose);
+}
+
+function clearHighlight(){
+  for (const el of $$('#tuneScore .playing')) el.classList.remove('playing');
+}
+
+player.onNote = (vi, ei)=>{
+  for (const el of $$(`#tuneScore [data-v="${vi}"].playing`)) el.classList.remove('playing');
+  const el = $(`#tuneScore [data-v="${vi}"][data-e="${ei}"]`);
+  if (el) el.classList.add('playing');
+};
+player.onEnd = ()=>{ clearHighlight(); updatePlayButton(); };
+
+async function selectTune(i){
+  const entry = (view.row?.tunes || [])[i];
+  if (!entry || entry.kind !== 'tune') return;
+  stopTune();
+  view.entry = entry;
+  view.tune = null;
+  const token = ++view.token;
+
+  for (const b of $$('#tuneList button[data-tune]')) b.setAttribute('aria-pressed', b.dataset.tune === String(i) ? 'true' : 'false');
+  $('#tuneControls').classList.remove('hidden');
+  $('#tuneMelodyWrap').classList.toggle('hidden', !entry.melodyFile);
+  const melody = !!entry.melodyFile && $('#tuneMelody').checked;
+  setStatus(`Loading ${entry.label}…`);
+  $('#tuneScore').innerHTML = '';
+
+  let text;
+  try{ text = await fetchAbc(melody ? entry.melodyFile : entry.file, view.bases); }
+  catch(err){
+    if (token !== view.token) return;
+    setStatus(`Couldn't load ${entry.file} (${err.message}).`);
+    $('#tuneControls').classList.add('hidden');
+    return;
+  }
+  if (token !== view.token) return;
+
+  const tune = parseAbc(text);
+  if (!tune.voices.length){
+    setStatus(`${entry.file} has no playable notes.`);
+    return;
+  }
+  view.tune = tune;
+  view.bpm = tune.tempo.bpm;
+  const tempo = $('#tuneTempo');
+  tempo.value = String(view.bpm);
+  $('#tuneTempoOut').textContent = `${view.bpm} bpm`;
+  setStatus('');
+  drawScore();
+}
+
+function stopTune(){
+  player.stop();
+  clearHighlight();
+  updatePlayButton();
+}
+
+/** Stop any playback (e.g. when leaving the detail view). */
+export function stopTunes(){ stopTune(); }
+
+/**
+ * Show the tune panel for a hymn row. `bases` are URL prefixes tried in order
+ * when fetching .abc files (the book's --audioURL, then the hymnal's own folder).
+ */
+export function showTunes(row, bases){
+  const panel = $('#tunePanel');
+  stopTune();
+  view.row = row;
+  view.bases = bases;
+  view.entry = null;
+  view.tune = null;
+  view.token++;
+
+  const entries = row.tunes || [];
+  const count = entries.filter(e=> e.kind === 'tune').length;
+  panel.classList.toggle('hidden', !count);
+  if (!count) return;
+
+  $('#tuneSummary').textContent = `Tunes (${count})`;
+  $('#tuneList').innerHTML = entries.map((e, i)=>{
+    if (e.kind === 'info') return html`<li class="tune-info">${e.html}</li>`;
+    return html`
+      <li>
+        <button type="button" data-tune="${i}" aria-pressed="false" class="${e.informal ? 'informal' : ''}">${escapeHTML(e.label)}</button>
+        ${e.tuneFor ? html`<span class="tune-for">for “${escapeHTML(e.tuneFor)}”</span>` : ''}
+        ${e.source ? html`<span class="tune-for">(${escapeHTML(e.source)})</span>` : ''}
+        ${e.copyright ? '<span class="tune-for">©</span>' : ''}
+      </li>`;
+  }).join('');
+  $('#tuneControls').classList.add('hidden');
+  $('#tuneScore').innerHTML = '';
+  setStatus('');
+  if (panel.open) selectTune(entries.findIndex(e=> e.kind === 'tune'));
+}
+
+export function setupTunes(){
+  const panel = $('#tunePanel');
+  panel.addEventListener('toggle', ()=>{
+    if (panel.open && !view.entry && view.row) selectTune((view.row.tunes || []).findIndex(e=> e.kind === 'tune'));
+    if (!panel.open) stopTune();
+  });
+
+  $('#tuneList').addEventListener('click', (e)=>{
+    const btn = e.target.closest('button[data-tune]');
+    if (btn) selectTune(parseInt(btn.dataset.tune, 10));
+  });
+
+  $('#tunePlay').addEventListener('click', ()=>{
+    if (player.playing){ stopTune(); return; }
+    if (!view.shown) return;
+    player.loop = $('#tuneLoop').checked;
+    try{ player.play(view.shown, { bpm: view.bpm }); }
+    catch(err){ setStatus(err.message); }
+    updatePlayButton();
+  });
+
+  $('#tuneTempo').addEventListener('input', (e)=>{
+    view.bpm = parseInt(e.target.value, 10) || view.bpm;
+    $('#tuneTempoOut').textContent = `${view.bpm} bpm`;
+  });
+  $('#tuneTempo').addEventListener('change', ()=>{
+    // Restart so the new tempo takes effect straight away
+    if (player.playing && view.shown) player.play(view.shown, { bpm: view.bpm });
+  });
+
+  const shift = (d)=>{
+    view.transpose = Math.max(-6, Math.min(6, view.transpose + d));
+    const wasPlaying = player.playing;
+    stopTune();
+    drawScore();
+    if (wasPlaying && view.shown){ player.play(view.shown, { bpm: view.bpm }); updatePlayButton(); }
+  };
+  $('#tuneDown').addEventListener('click', ()=> shift(-1));
+  $('#tuneUp').addEventListener('click', ()=> shift(1));
+
+  $('#tuneLoop').addEventListener('change', (e)=>{ player.loop = e.target.checked; });
+  $('#tuneMelody').addEventListener('change', ()=>{
+    const i = (view.row?.tunes || []).indexOf(view.entry);
+    if (i >= 0) selectTune(i);
+  });
+}
@@ -14,10 +14,49 @@ export const splitStanzas = (lyrics='') => {
   return t.length ? t.split(/\n\s*\n/) : [];
 };
 
-// Decode common HTML entities used in hymnal TXT files.
-let _decoder = null;
-export const decodeEntities = (s='') => {
-  if (!_decoder) _decoder = document.createElement('textarea');
-  _decoder.innerHTML = s;
-  return _decoder.value;
+// Decode HTML entities used in hymnal TXT files. Table-based (no DOM) so it also runs
+// in the parse worker and under Node; unknown names are left as they are.
+const ENTITIES = {
+  amp:'&', lt:'<', gt:'>', quot:'"', apos:"'", nbsp:'\u00a0', shy:'\u00ad',
+  lsquo:'‘', rsquo:'’', sbquo:'‚', ldquo:'“', rdquo:'”', bdquo:'„', laquo:'«', raquo:'»',
+  ndash:'–', mdash:'—', hellip:'…', bull:'•', middot:'·', prime:'′', Prime:'″', dagger:'†', Dagger:'‡',
+  copy:'©', reg:'®', trade:'™', sect:'§', para:'¶', deg:'°', frac12:'½', frac14:'¼', frac34:'¾', times:'×',
+  iexcl:'¡', iquest:'¿', cent:'¢', pound:'£', euro:'€', yen:'¥', ensp:'\u2002', emsp:'\u2003', thinsp:'\u2009',
+  Agrave:'À', Aacute:'Á', Acirc:'Â', Atilde:'Ã', Auml:'Ä', Aring:'Å', AElig:'Æ', Ccedil:'Ç',
+  Egrave:'È', Eacute:'É', Ecirc:'Ê', Euml:'Ë', Igrave:'Ì', Iacute:'Í', Icirc:'Î', Iuml:'Ï',
+  Ntilde:'Ñ', Ograve:'Ò', Oacute:'Ó', Ocirc:'Ô', Otilde:'Õ', Ouml:'Ö', Oslash:'Ø',
+  Ugrave:'Ù', Uacute:'Ú', Ucirc:'Û', Uuml:'Ü', Yacute:'Ý', szlig:'ß',
+  agrave:'à', aacute:'á', acirc:'â', atilde:'ã', auml:'ä', aring:'å', aelig:'æ', ccedil:'ç',
+  egrave:'è', eacute:'é', ecirc:'ê', euml:'ë', igrave:'ì', iacute:'í', icirc:'î', iuml:'ï',
+  ntilde:'ñ', ograve:'ò', oacute:'ó', ocirc:'ô', otilde:'õ', ouml:'ö', oslash:'ø',
+  ugrave:'ù', uacute:'ú', ucirc:'û', uuml:'ü', yacute:'ý', yuml:'ÿ', OElig:'Œ', oelig:'œ',
+};
+export const decodeEntities = (s='') => String(s).replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z][a-z0-9]*));/gi, (m, dec, hex, name) => {
+  if (dec || hex){
+    const cp = parseInt(dec || hex, dec ? 10 : 16);
+    return cp > 0 && cp <= 0x10ffff ? String.fromCodePoint(cp) : m;
+  }
+  return Object.hasOwn(ENTITIES, name) ? ENTITIES[name] : m;
+});
+
+/** Save `data` (text or a Blob) as a file called `name`. */
+export function download(name, data, type = 'text/plain'){
+  const blob = data instanceof Blob ? data : new Blob([data], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement('a'), { href: url, download: name });
+  document.body.append(a);
+  a.click();
+  a.remove();
+  setTimeout(()=> URL.revokeObjectURL(url), 1000);
+}
+
+// FNV-1a over the UTF-16 code units, plus the length: cheap "has this file changed?" key.
+// sw.js keeps its own copy of this (service workers here are classic scripts).
+export const hashText = (s='') => {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++){
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0') + '-' + s.length.toString(36);
 };
@@ -0,0 +1,159 @@
+// sw.js — offline support for Hymns from Gravel Hill
+//
+// - The app shell (HTML, CSS, JS, icons, config.json) is precached under a versioned
+//   cache; bump VERSION whenever shell files change and old shells are dropped on activate.
+// - Hymnal .txt files are only cached when the user keeps them offline (assets/js/offline.js).
+//   Cached books are served first, then revalidated in the background; when the file on
+//   the server has changed the cache is replaced and pages get a "book-updated" message.
+
+const VERSION = 'v33';
+const SHELL_CACHE = `hfg-shell-${VERSION}`;
+const BOOKS_CACHE = 'hfg-books';      // same name in assets/js/offline.js
+
+const SHELL = [
+  './',
+  'index.html',
+  'present.html',
+  'config.json',
+  'config-embed.js',
+  'manifest.webmanifest',
+  'icon-192.png',
+  'icon-512.png',
+  'assets/img/icon.png',
+  'assets/css/style.css',
+  'assets/js/app.js',
+  'assets/js/abc.js',
+  'assets/js/backup.js',
+  'assets/js/bookstore.js',
+  'assets/js/concordance.js',
+  'assets/js/db.js',
+  'assets/js/export.js',
+  'assets/js/firstlines.js',
+  'assets/js/hymnal.js',
+  'assets/js/hymnmeta.js',
+  'assets/js/keys.js',
+  'assets/js/localbooks.js',
+  'assets/js/meters.js',
+  'assets/js/notes.js',
+  'assets/js/offline.js',
+  'assets/js/parse-worker.js',
+  'assets/js/player.js',
+  'assets/js/presenter.js',
+  'assets/js/projector.js',
+  'assets/js/reader.js',
+  'assets/js/recent.js',
+  'assets/js/router.js',
+  'assets/js/search.js',
+  'assets/js/setlists.js',
+  'assets/js/spelling.js',
+  'assets/js/tunes.js',
+  'assets/js/utils.js',
+  'assets/js/zip.js',
+];
+
+// Same as hashText() in assets/js/utils.js
+function hashText(s){
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++){
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, '0') + '-' + s.length.toString(36);
+}
+
+self.addEventListener('install', (event)=>{
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache=> cache.addAll(SHELL.map(u=> new Request(u, { cache: 'reload' }))))
+      .then(()=> self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event)=>{
+  event.waitUntil((async ()=>{
+    for (const key of await caches.keys()){
+      if (key.startsWith('hfg-shell-') && key !== SHELL_CACHE) await caches.delete(key);
+    }
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event)=>{
+  const req = event.request;
+  if (req.method !== 'GET') return;
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return;
+
+  if (/\/hymnals\/[^/]+\.txt$/i.test(url.pathname)){
+    event.respondWith(bookResponse(event, req));
+  } else if (url.pathname.endsWith('/config.json')){
+    event.respondWith(networkFirst(req));
+  } else if (req.mode === 'navigate'){
+    event.respondWith(networkFirst(req, 'index.html'));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, req));
+  }
+});
+
+async function bookResponse(event, req){
+  // The offline screen downloads/checks with cache: 'no-store' and must see the server copy
+  if (req.cache === 'no-store' || req.cache === 'reload') return fetch(req);
+  const cache = await caches.open(BOOKS_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+  if (!cached) return fetch(req);
+  event.waitUntil(revalidateBook(cache, req, cached));
+  return cached;
+}
+
+async function revalidateBook(cache, req, cached){
+  const headers = {};
+  const etag = cached.headers.get('x-hfg-etag');
+  const modified = cached.headers.get('x-hfg-last-modified');
+  if (etag) headers['If-None-Match'] = etag;
+  if (modified) headers['If-Modified-Since'] = modified;
+  let res;
+  try{ res = await fetch(req.url, { cache: 'no-store', headers }); }
+  catch{ return; }   // offline: keep what we have
+  if (res.status !== 200) return;
+
+  const text = await res.text();
+  const hash = hashText(text);
+  if (hash === cached.headers.get('x-hfg-hash')) return;
+
+  await cache.put(req.url, new Response(text, { headers: {
+    'Content-Type': res.headers.get('Content-Type') || 'text/plain; charset=utf-8',
+    'x-hfg-hash': hash,
+    'x-hfg-saved': new Date().toISOString(),
+    'x-hfg-etag': res.headers.get('ETag') || '',
+    'x-hfg-last-modified': res.headers.get('Last-Modified') || '',
+  }}));
+  const path = new URL(req.url).pathname;
+  for (const client of await self.clients.matchAll()) client.postMessage({ type: 'book-updated', path });
+}
+
+async function networkFirst(req, fallback){
+  const cache = await caches.open(SHELL_CACHE);
+  try{
+    const res = await fetch(req);
+    if (res.ok && !fallback) cache.put(req, res.clone());
+    return res;
+  }catch(err){
+    const hit = await cache.match(req, { ignoreSearch: true }) || (fallback && await cache.match(fallback));
+    if (hit) return hit;
+    throw err;
+  }
+}
+
+async function staleWhileRevalidate(event, req){
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(req, { ignoreSearch: true });
+  const fresh = fetch(req).then(res=>{
+    if (res.ok) cache.put(req, res.clone());
+    return res;
+  });
+  if (cached){
+    event.waitUntil(fresh.catch(()=>{}));
+    return cached;
+  }
+  return fresh;
+}
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+// tools/concordance.mjs — which numbers the same hymn has in each book, as CSV
+//
+//   node tools/concordance.mjs > concordance.csv
+//
+// One column per "txt" book in config.json and one row per hymn found in two or more of them,
+// grouped by buildConcordance() in assets/js/concordance.js: the same cross-references and
+// first-line matching as the app's "Also in" panel. Needs Node 20.19+ or 22.7+, like
+// validate-hymnals.mjs.
+import { readFileSync } from 'node:fs';
+
+const [major, minor] = process.versions.node.split('.').map(Number);
+if (major < 20 || major === 21 || (major === 20 && minor < 19) || (major === 22 && minor < 7)){
+  console.error(`concordance needs Node 20.19 or later (or 22.7 or later); this is Node ${process.versions.node}.`);
+  process.exit(2);
+}
+const { parseHymnal } = await import('../assets/js/hymnal.js');
+const { buildConcordance } = await import('../assets/js/concordance.js');
+
+const csvCell = (v)=> /[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, '""')}"` : String(v);
+
+const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+const datasets = config.datasets || [];
+const books = new Map();        // dataset index -> { rows }, as in app.js
+const names = new Map();
+datasets.forEach((d, i)=>{
+  if ((d.type || 'txt') !== 'txt') return;
+  const { meta, rows } = parseHymnal(readFileSync(new URL(`../${d.path}`, import.meta.url), 'utf8'));
+  books.set(i, { rows });
+  names.set(i, d.name || meta.title || d.path);
+});
+
+const columns = [...books.keys()];
+const number = new Map([...books].flatMap(([ds, b])=> b.rows.map(r=> [`${ds}:${r.id}`, r.number])));
+const groups = buildConcordance(books, datasets).map(g=> columns.map(ds=>
+  g.filter(x=> x.ds === ds).map(x=> number.get(`${x.ds}:${x.id}`)).join(' ')));
+// In the order of the first book each hymn is in
+const sortKey = (cells)=>{
+  const i = cells.findIndex(Boolean);
+  return [i, parseInt(cells[i], 10) || 0];
+};
+groups.sort((a, b)=>{ const [ai, an] = sortKey(a), [bi, bn] = sortKey(b); return ai - bi || an - bn; });
+
+console.log([columns.map(ds=> names.get(ds)), ...groups].map(l=> l.map(csvCell).join(',')).join('\n'));
+console.error(`${groups.length} hymns in two or more of ${columns.length} books`);
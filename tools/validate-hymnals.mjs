@@ -0,0 +1,205 @@
+#!/usr/bin/env node
+// tools/validate-hymnals.mjs — check hymnal .txt files for what the parser would silently get wrong
+//
+//   node tools/validate-hymnals.mjs                     every "txt" book in config.json
+//   node tools/validate-hymnals.mjs hymnals/BHB.txt …   just these files
+//
+// Uses the app's own parser (assets/js/hymnal.js, which has no DOM access), so a file that
+// passes here reads the same in the app. Problems are printed as "file:line: message", one per
+// line, and the exit code is 1 when there are any.
+//
+// Needs Node 20.19+ or 22.7+: the app's .js files are ES modules with no package.json to say so,
+// and older versions load them as CommonJS.
+import { readFileSync } from 'node:fs';
+
+const [major, minor] = process.versions.node.split('.').map(Number);
+if (major < 20 || major === 21 || (major === 20 && minor < 19) || (major === 22 && minor < 7)){
+  console.error(`validate-hymnals needs Node 20.19 or later (or 22.7 or later); this is Node ${process.versions.node}.`);
+  process.exit(2);
+}
+// Imported only now, so an older Node gets the message above instead of a module error
+const { SECTION_NAMES, parseHymnal, computeOffsets, isHymnNumberLine, stripTags } = await import('../assets/js/hymnal.js');
+const { normalizeMeter, extractHymnMeta } = await import('../assets/js/hymnmeta.js');
+const { decodeEntities } = await import('../assets/js/utils.js');
+
+const plain = (s)=> decodeEntities(stripTags(s)).replace(/\s+/g, ' ').trim();
+const clip = (s, n = 50)=> s.length > n ? `${s.slice(0, n - 1)}…` : s;
+
+/**
+ * The file's sections as parseSections() in hymnal.js reads them, with line numbers:
+ * Map of lowercased name -> { line, lines: [{ n, text }] }, plus every header in order.
+ */
+function scanSections(lines){
+  const sections = new Map();
+  const headers = [];
+  let cur = null;
+  lines.forEach((text, i)=>{
+    if (text.startsWith('--')){
+      const name = text.slice(2).trim();
+      const key = name.toLowerCase();
+      headers.push({ n: i + 1, name, key });
+      if (!sections.has(key)) sections.set(key, { line: i + 1, lines: [] });
+      cur = sections.get(key);
+    } else if (cur){
+      cur.lines.push({ n: i + 1, text });
+    }
+  });
+  return { sections, headers };
+}
+
+/** --index entries with the line each is on: [{ n, raw, number, tags }] (number '' when unreadable). */
+function scanIndex(section){
+  const out = [];
+  for (const { n, text } of section?.lines || []){
+    for (const raw of text.split(',').map(x=> x.trim()).filter(Boolean)){
+      const [numPart, codePart = ''] = raw.split('|');
+      const number = numPart.replace(/[\s.]/g, '');
+      out.push({ n, raw, number: /^\d+$/.test(number) ? number : '', tags: codePart.trim().split(/\s+/).filter(Boolean) });
+    }
+  }
+  return out;
+}
+
+/** Every problem in one file: [{ line, message }], in line order (line 0: the file as a whole). */
+function validateHymnal(text){
+  const lines = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n');
+  const { meta, rows } = parseHymnal(text);
+  const { sections, headers } = scanSections(lines);
+  const problems = [];
+  const report = (line, message)=> problems.push({ line, message });
+
+  // Sections: a lyric line starting with "--" ends --lyrics there
+  const seen = new Map();
+  const end = lines[lines.length - 1] === '' ? lines.length - 1 : lines.length;
+  headers.forEach((h, i)=>{
+    const next = headers.slice(i + 1).find(x=> SECTION_NAMES.includes(x.key));
+    const until = next ? next.n - 1 : end;
+    if (!SECTION_NAMES.includes(h.key)){
+      const prev = headers[i - 1];
+      if (prev?.key === 'lyrics') report(h.n, `"${clip(h.name)}" starts with "--", so it is read as a new section and lines ${h.n}–${until} are left out of --lyrics`);
+      else if (prev && !SECTION_NAMES.includes(prev.key)) report(h.n, `"${clip(h.name)}" starts with "--" too (already outside its section since line ${prev.n})`);
+      else report(h.n, `unknown section "--${clip(h.name)}" (lines ${h.n}–${until} are ignored)`);
+    } else if (seen.has(h.key)){
+      report(h.n, `--${h.name} again (first at line ${seen.get(h.key)}); the two are read as one section`);
+    } else {
+      seen.set(h.key, h.n);
+    }
+  });
+  if (!sections.has('lyrics')){
+    report(0, 'no --lyrics section');
+    return problems;
+  }
+  if (!meta.title) report(0, 'no --title');
+
+  // Hymns: where each starts, and numbers the blank-line rule skips
+  const lyrics = sections.get('lyrics').lines;
+  const hymns = [];
+  lyrics.forEach(({ n, text }, i)=>{
+    const prev = i > 0 ? lyrics[i - 1].text : '';
+    const number = isHymnNumberLine(text, prev);
+    if (number){ hymns.push({ number, n, lines: [] }); return; }
+    // The next number after a line that isn't blank: most likely a missing blank line (a year
+    // on its own in the header lines is fine)
+    const last = hymns[hymns.length - 1];
+    if (last && prev.trim() && isHymnNumberLine(text, '') === String(Number(last.number) + 1)){
+      report(n, `"${text.trim()}" looks like the next hymn but the line before it isn't blank, so it is read as part of hymn ${last.number}`);
+    }
+    last?.lines.push(text);
+  });
+  if (!hymns.length){
+    report(sections.get('lyrics').line, 'no hymn numbers found in --lyrics (each hymn starts with its number alone on a line, after a blank line)');
+    return problems;
+  }
+
+  const firstAt = new Map();
+  const offsets = computeOffsets(meta);
+  for (const h of hymns){
+    if (firstAt.has(h.number)){
+      report(h.n, `hymn ${h.number} again (first at line ${firstAt.get(h.number)}); only this copy is kept`);
+    } else {
+      firstAt.set(h.number, h.n);
+    }
+    // Header lines sit at fixed offsets after the number: a missing one shifts the rest
+    const at = (k)=> k === 0 ? h.number : (h.lines[k - 1] ?? '');
+    if (!meta.firstLineIsTitle && !plain(at(1))) report(h.n + 1, `hymn ${h.number} has no title on the line after its number`);
+    if (meta.useMeter){
+      // Same test as the meter index (meters.js): what normalizeMeter() can't read isn't a meter
+      const meter = plain(at(offsets.meterIndex));
+      if (meter && !normalizeMeter(meter)) report(h.n + offsets.meterIndex, `hymn ${h.number}: meter line "${clip(meter)}" doesn't look like a meter (a header line missing or extra?)`);
+    }
+  }
+
+  // Tune names as hymnmeta.js pulls them out: "St" alone was a "St. Dunstan" split at its "."
+  for (const r of rows){
+    for (const tune of (r.tune || '').split(' / ')){
+      if (/^(?:St|Ste|Ss|Mt|Dr)\.?$/i.test(tune)) report(firstAt.get(r.number) || 0, `hymn ${r.number}: tune name "${tune}" is cut off at its abbreviation`);
+    }
+  }
+
+  // --index against the hymns, and its tag codes against --tags
+  const index = scanIndex(sections.get('index'));
+  const codes = new Set(meta.tags.map(t=> t.code));
+  const listed = new Map();
+  const missing = new Map();     // index line -> numbers with no hymn
+  for (const e of index){
+    if (!e.number){ report(e.n, `--index entry "${clip(e.raw)}" has no hymn number and is skipped`); continue; }
+    if (listed.has(e.number)) report(e.n, `hymn ${e.number} is listed twice in --index`);
+    else listed.set(e.number, e.n);
+    if (!firstAt.has(e.number)){
+      if (!missing.has(e.n)) missing.set(e.n, []);
+      missing.get(e.n).push(e.number);
+    }
+    if (codes.size){
+      for (const c of e.tags) if (!codes.has(c)) report(e.n, `hymn ${e.number}: tag code "${c}" in --index is not in --tags`);
+    }
+  }
+  for (const [n, numbers] of missing){
+    report(n, numbers.length === 1
+      ? `--index lists hymn ${numbers[0]}, but --lyrics has no hymn ${numbers[0]}`
+      : `--index lists ${numbers.length} hymns that --lyrics doesn't have: ${numbers.slice(0, 12).join(', ')}${numbers.length > 12 ? ', …' : ''}`);
+  }
+  if (listed.size){
+    for (const [number, n] of firstAt){
+      if (number !== '0' && !listed.has(number)) report(n, `hymn ${number} is not in --index (it is listed after the indexed hymns)`);
+    }
+  }
+
+  return problems.sort((a, b)=> a.line - b.line);
+}
+
+function booksFromConfig(){
+  const config = JSON.parse(readFileSync(new URL('../config.json', import.meta.url), 'utf8'));
+  return (config.datasets || []).filter(d=> (d.type || 'txt') === 'txt').map(d=> d.path);
+}
+
+// Real BHB entries listing several tunes with only spaces between them, and the tunes
+// hymnmeta.js should find: a failure is a parser bug, so it is reported whatever the files
+const TUNE_CASES = [
+  ['BHB #1', `<div class="tuneName"><i>Deerhurst Lux Eoi Abbot's Leigh&nbsp;</i></div>New BHB #12`, "Deerhurst / Lux Eoi / Abbot's Leigh"],
+  ['BHB #5', '<div class="tuneName"><i>St. Agnes, Durham &nbsp; </i></div>New BHB #14', 'St. Agnes / Durham'],
+  ['BHB #427', '<div class="tuneName"><i>St. Ursula Land of Rest &nbsp; </i></div>New BHB #419', 'St. Ursula / Land of Rest'],
+  ['BHB #451', '<div class="tuneName"><i>Dominus Regit Me St. Columba &nbsp; </i></div>New BHB #567', 'Dominus Regit Me / St. Columba'],
+];
+
+const files = process.argv.slice(2);
+let total = 0;
+for (const [where, top, want] of TUNE_CASES){
+  const got = extractHymnMeta(top, '').tune;
+  if (got !== want){
+    console.log(`assets/js/hymnmeta.js: the tunes of ${where} read as "${got}", not "${want}"`);
+    total++;
+  }
+}
+for (const file of files.length ? files : booksFromConfig()){
+  const path = files.length ? file : new URL(`../${file}`, import.meta.url);
+  let problems;
+  try{
+    problems = validateHymnal(readFileSync(path, 'utf8'));
+  }catch(err){
+    problems = [{ line: 0, message: `can't read: ${err.message}` }];
+  }
+  for (const p of problems) console.log(`${file}${p.line ? `:${p.line}` : ''}: ${p.message}`);
+  total += problems.length;
+}
+if (total) console.log(`${total} problem${total === 1 ? '' : 's'}`);
+process.exitCode = total ? 1 : 0;